@@ -2,8 +2,10 @@ const http = require("node:http");
 const path = require("node:path");
 const fs = require("node:fs/promises");
 const fsNative = require("node:fs");
-const { randomUUID } = require("node:crypto");
+const { createHash, createHmac, randomInt, randomUUID, timingSafeEqual } = require("node:crypto");
 const zlib = require("node:zlib");
+const { once } = require("node:events");
+const net = require("node:net");
 
 const ENV_FILE = path.join(__dirname, ".env");
 loadEnvFile(ENV_FILE);
@@ -11,9 +13,24 @@ loadEnvFile(ENV_FILE);
 const PORT = Number(process.env.PORT || 3000);
 const WEB_ROOT = path.join(__dirname, "..");
 const MAX_BODY_SIZE = 1024 * 1024;
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX_REQUESTS = 12;
-const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const RATE_LIMIT_DEFAULTS = {
+  ip: parseRateLimitRule(process.env.RATE_LIMIT_IP, { max: 12, windowMs: 60 * 1000 }),
+  phone: parseRateLimitRule(process.env.RATE_LIMIT_PHONE, { max: 5, windowMs: 60 * 60 * 1000 }),
+  endpoint: parseRateLimitRule(process.env.RATE_LIMIT_ENDPOINT, { max: 600, windowMs: 60 * 1000 }),
+};
+const RATE_LIMIT_ENDPOINT_OVERRIDES = parseRateLimitOverrides(process.env.RATE_LIMIT_ENDPOINTS || "");
+const TRUSTED_PROXIES = parseTrustedProxies(process.env.TRUSTED_PROXIES || "");
+const DUPLICATE_WINDOW_MS = clampNumber(process.env.LEAD_DEDUPE_WINDOW_MINUTES, 1, 7 * 24 * 60, 10) * 60 * 1000;
+const LEAD_DEDUPE_POLICIES = new Set(["reject", "merge", "tag"]);
+const LEAD_DEDUPE_POLICY = LEAD_DEDUPE_POLICIES.has(process.env.LEAD_DEDUPE_POLICY)
+  ? process.env.LEAD_DEDUPE_POLICY
+  : "reject";
+const LEAD_DEDUPE_TAG_FIELD = process.env.LEAD_DEDUPE_TAG_FIELD || "重复线索";
+const LEAD_DEDUPE_FEISHU_LOOKUP = process.env.LEAD_DEDUPE_FEISHU_LOOKUP === "1";
+const LEAD_DEDUPE_FEISHU_WINDOW_MS =
+  clampNumber(process.env.LEAD_DEDUPE_FEISHU_WINDOW_MINUTES, 1, 90 * 24 * 60, 24 * 60) * 60 * 1000;
+const LEAD_DEDUPE_FILE = path.join(__dirname, "data", "lead_dedupe.jsonl");
+const LEAD_DEDUPE_COMPACT_THRESHOLD = 5000;
 
 const FEISHU_APP_ID = process.env.FEISHU_APP_ID || "";
 const FEISHU_APP_SECRET = process.env.FEISHU_APP_SECRET || "";
@@ -22,6 +39,155 @@ const FEISHU_CONSULTATION_TABLE_ID =
   process.env.FEISHU_CONSULTATION_TABLE_ID || process.env.FEISHU_TABLE_ID || "";
 const FEISHU_PHONE_TABLE_ID =
   process.env.FEISHU_PHONE_TABLE_ID || process.env.FEISHU_TABLE_ID || "";
+const FEISHU_SCHEMA_AUTO_CREATE = process.env.FEISHU_SCHEMA_AUTO_CREATE === "1";
+// 资讯来源表：默认和线索表在同一个多维表格里，列名可用 FEISHU_ARTICLE_FIELDS 按字段改
+const FEISHU_ARTICLE_APP_TOKEN = process.env.FEISHU_ARTICLE_APP_TOKEN || FEISHU_APP_TOKEN;
+const FEISHU_ARTICLE_TABLE_ID = process.env.FEISHU_ARTICLE_TABLE_ID || "";
+const DEFAULT_FEISHU_ARTICLE_FIELDS = {
+  link: "链接",
+  pinned: "置顶",
+  title: "标题",
+  summary: "摘要",
+  image: "封面",
+  category: "分类",
+  hidden: "隐藏",
+  sort: "排序",
+};
+const FEISHU_ARTICLE_FIELDS = parseArticleFieldMap(process.env.FEISHU_ARTICLE_FIELDS || "");
+const LEAD_ATTRIBUTION_TOUCH_KEYS = [
+  "utmSource",
+  "utmMedium",
+  "utmCampaign",
+  "utmTerm",
+  "utmContent",
+  "referrer",
+  "landingPage",
+  "at",
+];
+const LEAD_ATTRIBUTION_PATHS = [
+  "cta",
+  "sourcePage",
+  ...["firstTouch", "lastTouch"].flatMap((touch) => LEAD_ATTRIBUTION_TOUCH_KEYS.map((key) => `${touch}.${key}`)),
+];
+const LEAD_ATTRIBUTION_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+const LEAD_ATTRIBUTION_FEISHU_FIELDS = parseAttributionFieldMap(process.env.FEISHU_ATTRIBUTION_FIELDS || "");
+const LEAD_SOURCE_FEISHU_FIELD = LEAD_ATTRIBUTION_FEISHU_FIELDS.cta || "来源";
+const LEAD_FILE_SINK_PATH = path.resolve(
+  __dirname,
+  process.env.LEAD_FILE_SINK_PATH || path.join("data", "leads.jsonl"),
+);
+const LEAD_WEBHOOK_URL = /^https:\/\//i.test(process.env.LEAD_WEBHOOK_URL || "")
+  ? process.env.LEAD_WEBHOOK_URL
+  : "";
+const LEAD_WEBHOOK_SECRET = process.env.LEAD_WEBHOOK_SECRET || "";
+const LEAD_WEBHOOK_TIMEOUT_MS = clampNumber(process.env.LEAD_WEBHOOK_TIMEOUT_MS, 1000, 60 * 1000, 10 * 1000);
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+const ADMIN_STATS_MAX_RECORDS = clampNumber(process.env.ADMIN_STATS_MAX_RECORDS, 100, 50000, 5000);
+const ADMIN_EXPORT_MAX_RECORDS = clampNumber(process.env.ADMIN_EXPORT_MAX_RECORDS, 100, 200000, 50000);
+const ADMIN_EXPORT_XLSX_MAX_RECORDS = Math.min(
+  ADMIN_EXPORT_MAX_RECORDS,
+  clampNumber(process.env.ADMIN_EXPORT_XLSX_MAX_RECORDS, 100, 50000, 10000),
+);
+const FORM_TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || "";
+const FORM_TOKEN_TTL_MS = clampNumber(process.env.FORM_TOKEN_TTL_MINUTES, 1, 24 * 60, 30) * 60 * 1000;
+const FORM_MIN_FILL_MS = clampNumber(process.env.FORM_MIN_FILL_SECONDS, 0, 600, 3) * 1000;
+const FORM_POW_DIFFICULTY = clampNumber(process.env.FORM_POW_DIFFICULTY, 0, 24, 0);
+const FORM_HONEYPOT_FIELD = "website";
+const LEAD_REJECTION_FILE = path.join(__dirname, "data", "lead_rejections.jsonl");
+const PRIVACY_POLICY_VERSION = normalizeText(process.env.PRIVACY_POLICY_VERSION || "v1", 40) || "v1";
+const FEISHU_CONSENT_FIELD = process.env.FEISHU_CONSENT_FIELD || "";
+const PRIVACY_AUDIT_FILE = path.join(__dirname, "data", "privacy_audit.jsonl");
+const LEAD_FORM_FIELD_TYPES = new Set(["text", "textarea", "phone", "email", "enum", "multiEnum"]);
+// 表单 id 不能与 /api/forms/token 等固定路由或合并任务冲突
+const RESERVED_LEAD_FORM_IDS = new Set(["token", "merge"]);
+// 这些字段由服务端填写，表单不能声明同名字段
+const RESERVED_LEAD_FIELD_NAMES = new Set([
+  "id",
+  "sourcePage",
+  "attribution",
+  "consent",
+  "owner",
+  "priority",
+  "repeatOf",
+  "createdAt",
+  "formToken",
+  "powNonce",
+  "smsCode",
+  FORM_HONEYPOT_FIELD,
+]);
+const LEAD_PRODUCT_OPTIONS = ["蜂桥创作", "CreBee", "蜂桥视频大脑", "蜂桥达人管家", "蜂桥 AI 精选"];
+// 内置表单，forms.json 中同 id 的定义会整体覆盖
+const DEFAULT_LEAD_FORMS = [
+  {
+    id: "consultation",
+    title: "立即咨询",
+    leadType: "立即咨询",
+    tableId: FEISHU_CONSULTATION_TABLE_ID,
+    priorityBase: 30,
+    fields: [
+      { name: "name", label: "姓名", type: "text", required: true, maxLength: 40, column: "姓名" },
+      { name: "phone", label: "手机号", type: "phone", required: true, column: "手机号" },
+      {
+        name: "intentionProducts",
+        label: "意向产品",
+        type: "multiEnum",
+        required: true,
+        options: LEAD_PRODUCT_OPTIONS,
+        column: "意向产品",
+      },
+    ],
+    dedupeKey: ["sourcePage", "intentionProducts"],
+    messages: { merged: "已更新您的咨询意向，我们会尽快联系您" },
+  },
+  {
+    id: "phone",
+    title: "预约回电",
+    leadType: "预约回电",
+    tableId: FEISHU_PHONE_TABLE_ID,
+    priorityBase: 20,
+    fields: [
+      { name: "phone", label: "手机号", type: "phone", required: true, column: "手机号" },
+      { name: "source", label: "来源入口", type: "text", maxLength: 40, default: "unknown", notify: false },
+    ],
+    dedupeKey: ["source"],
+    messages: { merged: "我们已收到您的预约，会尽快安排回电" },
+  },
+];
+const LEAD_FORMS_FILE = path.resolve(__dirname, process.env.LEAD_FORMS_FILE || "forms.json");
+const LEAD_FORMS = loadLeadForms(LEAD_FORMS_FILE);
+const LEAD_TYPE_LABELS = Object.fromEntries(Object.values(LEAD_FORMS).map((form) => [form.id, form.leadType]));
+const SMS_PROVIDER = (process.env.SMS_PROVIDER || "").toLowerCase();
+const SMS_CODE_TTL_MS = clampNumber(process.env.SMS_CODE_TTL_SECONDS, 60, 30 * 60, 300) * 1000;
+const SMS_RESEND_COOLDOWN_MS = clampNumber(process.env.SMS_RESEND_COOLDOWN_SECONDS, 10, 10 * 60, 60) * 1000;
+const SMS_MAX_VERIFY_ATTEMPTS = clampNumber(process.env.SMS_MAX_VERIFY_ATTEMPTS, 1, 20, 5);
+const SMS_DAILY_LIMIT = clampNumber(process.env.SMS_DAILY_LIMIT, 1, 100, 10);
+const SMS_IP_DAILY_LIMIT = clampNumber(process.env.SMS_IP_DAILY_LIMIT, 1, 10000, 30);
+const SMS_GLOBAL_DAILY_LIMIT = clampNumber(process.env.SMS_GLOBAL_DAILY_LIMIT, 1, 1000000, 2000);
+const ALIYUN_SMS_CONFIG = {
+  accessKeyId: process.env.ALIYUN_SMS_ACCESS_KEY_ID || "",
+  accessKeySecret: process.env.ALIYUN_SMS_ACCESS_KEY_SECRET || "",
+  signName: process.env.ALIYUN_SMS_SIGN_NAME || "",
+  templateCode: process.env.ALIYUN_SMS_TEMPLATE_CODE || "",
+};
+const TENCENT_SMS_CONFIG = {
+  secretId: process.env.TENCENT_SMS_SECRET_ID || "",
+  secretKey: process.env.TENCENT_SMS_SECRET_KEY || "",
+  sdkAppId: process.env.TENCENT_SMS_SDK_APP_ID || "",
+  signName: process.env.TENCENT_SMS_SIGN_NAME || "",
+  templateId: process.env.TENCENT_SMS_TEMPLATE_ID || "",
+  region: process.env.TENCENT_SMS_REGION || "ap-guangzhou",
+};
+const LEAD_NOTIFY_DEFAULT_ROUTE = {
+  feishuWebhook: process.env.LEAD_NOTIFY_FEISHU_WEBHOOK || "",
+  feishuSecret: process.env.LEAD_NOTIFY_FEISHU_SECRET || "",
+  wecomWebhook: process.env.LEAD_NOTIFY_WECOM_WEBHOOK || "",
+};
+const LEAD_NOTIFY_ROUTES = parseLeadNotifyRoutes(process.env.LEAD_NOTIFY_ROUTES || "");
+const FEISHU_BASE_URL = (process.env.FEISHU_BASE_URL || "").replace(/\/+$/, "");
+const LEAD_ROUTING = parseLeadRoutingConfig(process.env.LEAD_ROUTING_RULES || "");
+const LEAD_ROUTING_STATE_FILE = path.join(__dirname, "data", "lead_routing_state.json");
+const LEAD_OWNER_FEISHU_FIELD = process.env.LEAD_OWNER_FIELD || "负责人";
+const LEAD_PRIORITY_FEISHU_FIELD = process.env.LEAD_PRIORITY_FIELD || "优先级";
 const DEFAULT_CONSULTATION_ARTICLE_LINKS = [
   "https://mp.weixin.qq.com/s/JkexptZT9xz_NKpfCdK7zQ",
   "https://mp.weixin.qq.com/s/JD3u4eH_4gfxdQmXcnr-0Q",
@@ -31,7 +197,8 @@ const DEFAULT_CONSULTATION_ARTICLE_LINKS = [
   "https://mp.weixin.qq.com/s/KLOQtCDaWG38aJvu6oQqkg",
   "https://mp.weixin.qq.com/s/7zmVRhbD-hZmdNFjVk64Ew",
 ];
-const CONSULTATION_ARTICLE_TITLE_OVERRIDES = {
+// 首次启动时写入编辑记录的标题，之后以管理接口里的修改为准
+const DEFAULT_CONSULTATION_ARTICLE_TITLES = {
   "https://mp.weixin.qq.com/s/JkexptZT9xz_NKpfCdK7zQ":
     "CreBee V1.4.0 上线｜发布记录模块升级，新增公众号文章发布与微博平台数据查看功能",
   "https://mp.weixin.qq.com/s/JD3u4eH_4gfxdQmXcnr-0Q":
@@ -51,8 +218,74 @@ const CONSULTATION_ARTICLE_LINKS = (() => {
   const envLinks = parseEnvList(process.env.CONSULTATION_ARTICLE_LINKS || "");
   return envLinks.length > 0 ? envLinks : DEFAULT_CONSULTATION_ARTICLE_LINKS;
 })();
+// 资讯接口每页默认条数；pageSize 参数最多 CONSULTATION_MAX_PAGE_SIZE
 const CONSULTATION_MAX_ITEMS = clampNumber(process.env.CONSULTATION_MAX_ITEMS, 1, 30, 9);
+const CONSULTATION_MAX_PAGE_SIZE = 50;
 const CONSULTATION_CACHE_FILE = path.join(__dirname, "data", "consultation_articles.json");
+const CONSULTATION_EDITS_FILE = path.join(__dirname, "data", "consultation_article_edits.json");
+const CONSULTATION_MAX_SOURCES = 50;
+const CONSULTATION_MAX_ORDER = 200;
+// 管理接口可覆盖的字段及长度上限
+const CONSULTATION_EDIT_FIELDS = { title: 140, summary: 220, image: 600, category: 32 };
+const CONSULTATION_SYNC_INTERVAL_MS =
+  clampNumber(process.env.CONSULTATION_SYNC_INTERVAL_MINUTES, 0, 24 * 60, 30) * 60 * 1000;
+const CONSULTATION_SYNC_JITTER_MS =
+  clampNumber(process.env.CONSULTATION_SYNC_JITTER_SECONDS, 0, 60 * 60, 120) * 1000;
+const CONSULTATION_SYNC_CONCURRENCY = clampNumber(process.env.CONSULTATION_SYNC_CONCURRENCY, 1, 10, 3);
+// 置顶和手动排序之后的顺序：date 按发布时间从新到旧，source 按来源配置顺序
+const CONSULTATION_SORT = process.env.CONSULTATION_SORT === "source" ? "source" : "date";
+const CONSULTATION_FETCH_TIMEOUT_MS = clampNumber(
+  process.env.CONSULTATION_FETCH_TIMEOUT_MS,
+  1000,
+  60 * 1000,
+  10 * 1000,
+);
+const CONSULTATION_SOURCE_BASE_BACKOFF_MS = 5 * 60 * 1000;
+// 封面图代理：只代理这些域名（含子域名）下、且被当前文章引用的图片
+const CONSULTATION_IMAGE_HOSTS = (() => {
+  const envHosts = parseEnvList(process.env.CONSULTATION_IMAGE_HOSTS || "");
+  return (envHosts.length > 0 ? envHosts : ["mmbiz.qpic.cn", "mmbiz.qlogo.cn", "wx.qlogo.cn"]).map((host) =>
+    host.toLowerCase(),
+  );
+})();
+const CONSULTATION_IMAGE_MAX_BYTES = clampNumber(process.env.CONSULTATION_IMAGE_MAX_KB, 16, 20 * 1024, 5 * 1024) * 1024;
+const CONSULTATION_IMAGE_DIR = path.join(__dirname, "data", "image_cache");
+const CONSULTATION_IMAGE_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+const CONSULTATION_IMAGE_FAILURE_TTL_MS = 10 * 60 * 1000;
+const CONSULTATION_IMAGE_MAX_REDIRECTS = 3;
+const CONSULTATION_BODY_DIR = path.join(__dirname, "data", "article_bodies");
+// 订阅源、sitemap 和详情页会被公共缓存，其中的绝对地址只取 SITE_URL，不用请求的 Host
+const SITE_URL = (process.env.SITE_URL || "").replace(/\/+$/, "");
+const SITE_FEED_MAX_ITEMS = 50;
+const SITE_FEED_CACHE_SECONDS = 600;
+const SITEMAP_STATIC_PAGES = [
+  { path: "/", file: "index.html", changefreq: "weekly", priority: "1.0" },
+  { path: "/products.html", file: "products.html", changefreq: "weekly", priority: "0.9" },
+  { path: "/consultation.html", file: "consultation.html", changefreq: "daily", priority: "0.8" },
+  { path: "/about.html", file: "about.html", changefreq: "monthly", priority: "0.6" },
+  { path: "/help.html", file: "help.html", changefreq: "monthly", priority: "0.6" },
+];
+const CONSULTATION_BODY_MAX_CHARS = 300 * 1024;
+const ARTICLE_BODY_TAGS = new Set([
+  "a", "b", "blockquote", "br", "caption", "code", "del", "div", "em", "figcaption", "figure",
+  "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "li", "ol", "p", "pre", "s", "section",
+  "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul",
+]);
+const ARTICLE_BODY_VOID_TAGS = new Set(["br", "hr", "img"]);
+// 连同内容一起丢弃的标签
+const ARTICLE_BODY_DROP_TAGS = new Set([
+  "audio", "button", "canvas", "embed", "form", "iframe", "input", "math", "mp-common-profile",
+  "mp-miniprogram", "mpvideo", "mpvoice", "noscript", "object", "qqmusic", "script", "select",
+  "style", "svg", "template", "textarea", "title", "video",
+]);
+const CONSULTATION_SOURCE_MAX_BACKOFF_MS = 12 * 60 * 60 * 1000;
+const LEAD_OUTBOX_FILE = path.join(__dirname, "data", "lead_outbox.jsonl");
+const LEAD_DEAD_LETTER_FILE = path.join(__dirname, "data", "lead_dead_letters.jsonl");
+const LEAD_OUTBOX_MAX_ATTEMPTS = clampNumber(process.env.LEAD_OUTBOX_MAX_ATTEMPTS, 1, 50, 8);
+const LEAD_OUTBOX_BASE_DELAY_MS = clampNumber(process.env.LEAD_OUTBOX_BASE_DELAY_MS, 100, 10 * 60 * 1000, 5000);
+const LEAD_OUTBOX_MAX_DELAY_MS = 30 * 60 * 1000;
+const LEAD_OUTBOX_COMPACT_THRESHOLD = 1000;
+const LEAD_OUTBOX_MIN_POLL_MS = 500;
 const DEFAULT_CONSULTATION_ARTICLES = [
   {
     title: "产品动态（产品公众号文章）",
@@ -62,6 +295,9 @@ const DEFAULT_CONSULTATION_ARTICLES = [
     category: "产品动态",
     sourceName: "产品公众号文章",
     publishedAt: "",
+    author: "",
+    original: false,
+    avatar: "",
   },
 ];
 
@@ -73,25 +309,108 @@ const MIME_TYPES = {
   ".jpg": "image/jpeg",
   ".js": "application/javascript; charset=utf-8",
   ".json": "application/json; charset=utf-8",
+  ".mp4": "video/mp4",
   ".png": "image/png",
   ".svg": "image/svg+xml",
+  ".webm": "video/webm",
   ".webp": "image/webp",
 };
 
 const COMPRESSIBLE_EXTS = new Set([".html", ".css", ".js", ".json", ".svg"]);
-const LONG_CACHE_EXTS = new Set([".css", ".js", ".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp"]);
+const LONG_CACHE_EXTS = new Set([".css", ".js", ".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".mp4", ".webm"]);
+// 文本类静态文件按版本预压缩一次，放在内存 LRU 里；q 值相同时优先 br
+const STATIC_ENCODINGS = ["br", "gzip"];
+const STATIC_COMPRESSION_CACHE_BYTES =
+  clampNumber(process.env.STATIC_COMPRESSION_CACHE_MB, 1, 512, 32) * 1024 * 1024;
+const STATIC_COMPRESSION_MIN_BYTES = 1024;
+const STATIC_COMPRESSION_MAX_BYTES = 4 * 1024 * 1024;
+// 首次请求时在线压缩，用中等级别：br 最高的 11 级比 7 级慢一个数量级，体积只小几个百分点
+const STATIC_BROTLI_QUALITY = 7;
+const STATIC_GZIP_LEVEL = 6;
 
+// 滑动窗口：每个键保存窗口内的请求时间戳
 const rateLimitStore = new Map();
-const duplicateStore = new Map();
+// 预压缩结果：Map 的插入顺序即最近使用顺序，超出容量时从头淘汰
+const staticCompressionCache = {
+  entries: new Map(),
+  bytes: 0,
+  inflight: new Map(),
+};
+let rateLimitLastCleanupMs = 0;
+// 去重记录落盘到 jsonl，多进程共享同一文件时各自增量读取对方追加的行
+const duplicateStore = {
+  entries: new Map(),
+  offset: 0,
+  inode: 0,
+  lines: 0,
+};
 const feishuTokenCache = {
   token: "",
   expiresAtMs: 0,
 };
+const leadOutbox = {
+  jobs: new Map(),
+  deadLetterCount: 0,
+  logLines: 0,
+  lastError: "",
+  loading: null,
+  writeChain: Promise.resolve(),
+  timer: null,
+  timerDueAtMs: 0,
+  draining: false,
+};
+const usedFormTokens = new Map();
+const smsCodeStore = new Map();
+const smsDailyCounter = new Map();
+// 轮询分配的游标：按团队名记录下一个候选成员的下标
+const leadRoutingState = {
+  cursors: {},
+  loading: null,
+  writeChain: Promise.resolve(),
+};
+const feishuSchemaStatus = {
+  checkedAt: "",
+  tables: [],
+  error: "",
+  // 每张线索表实际存在的列名，可选列只在存在时写入
+  columns: new Map(),
+};
 const consultationArticlesCache = {
   items: [...DEFAULT_CONSULTATION_ARTICLES],
   updatedAt: "",
   lastSuccessAt: "",
   error: "",
+  // 同步得到的全部文章（未套用编辑），items 为套用编辑后对外展示的列表
+  fetched: [],
+  // 每个来源最近一次同步的结果
+  sources: [],
+  bodies: {},
+};
+// 飞书来源表最近一次读到的内容，随资讯缓存一起落盘，飞书不可用时沿用
+const consultationSourceTable = {
+  rows: [],
+  syncedAt: "",
+  error: "",
+};
+// 运营编辑记录：新增/删除的来源、手动排序、按链接保存的覆盖字段和置顶/隐藏标记
+const consultationEdits = {
+  sources: [],
+  removed: [],
+  order: [],
+  articles: {},
+  updatedAt: "",
+  writeChain: Promise.resolve(),
+};
+const consultationImages = {
+  inflight: new Map(),
+  failures: new Map(),
+};
+const consultationSync = {
+  running: null,
+  runningForced: false,
+  forcedRerun: null,
+  timer: null,
+  nextRunAt: "",
 };
 
 function loadEnvFile(filePath) {
@@ -131,6 +450,14 @@ function sendText(res, statusCode, message) {
   res.end(message);
 }
 
+// If-None-Match 按弱比较，忽略两边的 W/ 前缀；单独的 * 匹配任何已存在的资源
+function matchesIfNoneMatch(req, etag) {
+  const header = String(req.headers["if-none-match"] || "").trim();
+  if (header === "*") return true;
+  const opaqueTag = etag.replace(/^W\//, "");
+  return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === opaqueTag);
+}
+
 function normalizeText(value, maxLength = 100) {
   if (typeof value !== "string") return "";
   return value.trim().slice(0, maxLength);
@@ -141,54 +468,218 @@ function normalizeProductList(list) {
   return [...new Set(list.map((item) => normalizeText(item, 30)).filter(Boolean))];
 }
 
+function maskPhone(phone) {
+  const raw = String(phone || "");
+  if (raw.length < 7) return raw;
+  return `${raw.slice(0, 3)}****${raw.slice(-4)}`;
+}
+
 function isValidPhone(phone) {
   return /^1\d{10}$/.test(phone);
 }
 
+function normalizeIp(raw) {
+  const value = String(raw || "").trim();
+  return value.startsWith("::ffff:") ? value.slice(7) : value;
+}
+
+function isTrustedProxy(ip) {
+  if (!ip) return false;
+  const type = net.isIPv6(ip) ? "ipv6" : "ipv4";
+  return net.isIP(ip) !== 0 && TRUSTED_PROXIES.check(ip, type);
+}
+
 function getClientIp(req) {
-  const forwarded = req.headers["x-forwarded-for"];
-  if (typeof forwarded === "string" && forwarded.trim()) {
-    return forwarded.split(",")[0].trim();
+  const remote = normalizeIp(req.socket?.remoteAddress) || "unknown";
+  if (!isTrustedProxy(remote)) return remote;
+  // 只有直连方是可信代理时才看 X-Forwarded-For，并从右往左取第一个非代理地址
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map(normalizeIp)
+    .filter(Boolean);
+  for (let index = forwarded.length - 1; index >= 0; index -= 1) {
+    if (!isTrustedProxy(forwarded[index])) return forwarded[index];
+  }
+  return forwarded[0] || remote;
+}
+
+function parseRateLimitRule(value, fallback) {
+  const match = String(value || "").trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) return fallback;
+  const max = Number(match[1]);
+  const windowMs = Number(match[2]) * 1000;
+  if (max < 1 || windowMs < 1000) return fallback;
+  return { max, windowMs };
+}
+
+function parseRateLimitOverrides(value) {
+  const parsed = parseEnvJson(value, {});
+  const overrides = {};
+  if (!parsed || typeof parsed !== "object") return overrides;
+  for (const [pathname, rules] of Object.entries(parsed)) {
+    overrides[pathname] = {};
+    for (const dimension of ["ip", "phone", "endpoint"]) {
+      const rule = parseRateLimitRule(rules?.[dimension], null);
+      if (rule) overrides[pathname][dimension] = rule;
+    }
+  }
+  return overrides;
+}
+
+function parseTrustedProxies(value) {
+  const list = new net.BlockList();
+  for (const entry of parseEnvList(value)) {
+    const [address, prefix, ...rest] = entry.split("/");
+    const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+    const maxPrefix = type === "ipv6" ? 128 : 32;
+    const validPrefix = prefix === undefined || (/^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix);
+    if (net.isIP(address) === 0 || !validPrefix || rest.length > 0) {
+      console.error("invalid_trusted_proxy", entry);
+      continue;
+    }
+    if (prefix !== undefined) {
+      list.addSubnet(address, Number(prefix), type);
+    } else {
+      list.addAddress(address, type);
+    }
   }
-  const raw = req.socket?.remoteAddress || "unknown";
-  return raw.startsWith("::ffff:") ? raw.slice(7) : raw;
+  return list;
+}
+
+function resolveRateLimitRule(pathname, dimension) {
+  return RATE_LIMIT_ENDPOINT_OVERRIDES[pathname]?.[dimension] || RATE_LIMIT_DEFAULTS[dimension];
 }
 
 function cleanupRateLimitStore(now) {
-  for (const [key, value] of rateLimitStore.entries()) {
-    if (now - value.windowStart >= RATE_LIMIT_WINDOW_MS) {
+  if (now - rateLimitLastCleanupMs < 10 * 1000) return;
+  rateLimitLastCleanupMs = now;
+  for (const [key, entry] of rateLimitStore.entries()) {
+    if (entry.hits.length === 0 || now - entry.hits[entry.hits.length - 1] >= entry.windowMs) {
       rateLimitStore.delete(key);
     }
   }
 }
 
-function isRateLimited(key, now = Date.now()) {
+function peekRateLimit(key, rule, now) {
+  const entry = rateLimitStore.get(key) || { hits: [], windowMs: rule.windowMs };
+  entry.windowMs = rule.windowMs;
+  while (entry.hits.length > 0 && now - entry.hits[0] >= rule.windowMs) {
+    entry.hits.shift();
+  }
+  rateLimitStore.set(key, entry);
+  const resetMs = entry.hits.length > 0 ? entry.hits[0] + rule.windowMs - now : rule.windowMs;
+  return {
+    entry,
+    limited: entry.hits.length >= rule.max,
+    limit: rule.max,
+    remaining: Math.max(0, rule.max - entry.hits.length - 1),
+    resetMs,
+  };
+}
+
+// 所有维度都未超限才计数，被拦下的请求不占用其他维度的额度
+function enforceRateLimits(res, pathname, dimensions, now = Date.now()) {
   cleanupRateLimitStore(now);
-  const current = rateLimitStore.get(key);
-  if (!current || now - current.windowStart >= RATE_LIMIT_WINDOW_MS) {
-    rateLimitStore.set(key, { windowStart: now, count: 1 });
+  const checks = Object.entries(dimensions).map(([dimension, value]) =>
+    peekRateLimit(`${dimension}:${pathname}:${value}`, resolveRateLimitRule(pathname, dimension), now),
+  );
+  const blocked = checks.find((check) => check.limited);
+  if (blocked) {
+    const resetSeconds = Math.max(1, Math.ceil(blocked.resetMs / 1000));
+    res.setHeader("Retry-After", String(resetSeconds));
+    res.setHeader("RateLimit-Limit", String(blocked.limit));
+    res.setHeader("RateLimit-Remaining", "0");
+    res.setHeader("RateLimit-Reset", String(resetSeconds));
+    sendJson(res, 429, { ok: false, message: "提交过于频繁，请稍后再试" });
     return false;
   }
-  current.count += 1;
-  return current.count > RATE_LIMIT_MAX_REQUESTS;
+  for (const check of checks) {
+    check.entry.hits.push(now);
+  }
+  return true;
 }
 
 function cleanupDuplicateStore(now) {
-  for (const [key, submittedAt] of duplicateStore.entries()) {
-    if (now - submittedAt > DUPLICATE_WINDOW_MS) {
-      duplicateStore.delete(key);
+  for (const [key, entry] of duplicateStore.entries.entries()) {
+    if (now - entry.at > DUPLICATE_WINDOW_MS) {
+      duplicateStore.entries.delete(key);
+    }
+  }
+}
+
+async function refreshDuplicateStore() {
+  let stat;
+  try {
+    stat = await fs.stat(LEAD_DEDUPE_FILE);
+  } catch {
+    return;
+  }
+  // 文件被其他进程压缩重写后从头读
+  if (stat.ino !== duplicateStore.inode || stat.size < duplicateStore.offset) {
+    duplicateStore.entries.clear();
+    duplicateStore.offset = 0;
+    duplicateStore.lines = 0;
+    duplicateStore.inode = stat.ino;
+  }
+  if (stat.size === duplicateStore.offset) return;
+
+  const handle = await fs.open(LEAD_DEDUPE_FILE, "r");
+  try {
+    const length = stat.size - duplicateStore.offset;
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, duplicateStore.offset);
+    const consumed = buffer.lastIndexOf(0x0a) + 1;
+    for (const line of buffer.subarray(0, consumed).toString("utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        for (const key of Array.isArray(entry.keys) ? entry.keys : []) {
+          duplicateStore.entries.set(key, { leadId: entry.leadId || "", at: Number(entry.at) || 0 });
+        }
+        duplicateStore.lines += 1;
+      } catch {
+        // 忽略损坏的行
+      }
     }
+    duplicateStore.offset += consumed;
+  } finally {
+    await handle.close();
   }
 }
 
-function hasDuplicateSubmission(key, now = Date.now()) {
+async function findDuplicateSubmission(key, now = Date.now()) {
+  await refreshDuplicateStore();
+  cleanupDuplicateStore(now);
+  const prev = duplicateStore.entries.get(key);
+  return prev && now - prev.at <= DUPLICATE_WINDOW_MS ? prev : null;
+}
+
+async function compactDuplicateStore(now) {
   cleanupDuplicateStore(now);
-  const prev = duplicateStore.get(key);
-  return Boolean(prev && now - prev <= DUPLICATE_WINDOW_MS);
+  const byLead = new Map();
+  for (const [key, entry] of duplicateStore.entries.entries()) {
+    const group = byLead.get(entry.leadId) || { keys: [], leadId: entry.leadId, at: entry.at };
+    group.keys.push(key);
+    byLead.set(entry.leadId, group);
+  }
+  const tempFile = `${LEAD_DEDUPE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, [...byLead.values()].map((entry) => `${JSON.stringify(entry)}\n`).join(""), "utf8");
+  await fs.rename(tempFile, LEAD_DEDUPE_FILE);
 }
 
-function markDuplicateSubmission(key, now = Date.now()) {
-  duplicateStore.set(key, now);
+async function markDuplicateSubmission(keys, leadId, now = Date.now()) {
+  // 线索已进入 outbox，去重记录写失败只影响后续拦截，不能让本次提交报错
+  try {
+    const entry = { keys: [...new Set(keys)], leadId, at: now };
+    await fs.mkdir(path.dirname(LEAD_DEDUPE_FILE), { recursive: true });
+    await fs.appendFile(LEAD_DEDUPE_FILE, `${JSON.stringify(entry)}\n`, "utf8");
+    await refreshDuplicateStore();
+    if (duplicateStore.lines > LEAD_DEDUPE_COMPACT_THRESHOLD) {
+      await compactDuplicateStore(now);
+    }
+  } catch (error) {
+    console.error("lead_dedupe_mark_failed", error);
+  }
 }
 
 function hasFeishuConfig() {
@@ -201,6 +692,27 @@ function hasFeishuConfig() {
   );
 }
 
+function resolveLeadSinkNames() {
+  const configured = parseEnvList(process.env.LEAD_SINKS || "").map((name) => name.toLowerCase());
+  if (configured.length > 0) return configured;
+  // 未显式配置时：有飞书凭证写飞书，否则落本地文件，便于本地开发
+  return hasFeishuConfig() ? ["feishu"] : ["file"];
+}
+
+function hasLeadSinkConfig() {
+  return (
+    ACTIVE_LEAD_SINKS.length > 0 &&
+    ACTIVE_LEAD_SINKS.every((name) => Boolean(LEAD_SINKS[name]?.isConfigured()))
+  );
+}
+
+function getLeadSinkStatus() {
+  return ACTIVE_LEAD_SINKS.map((name) => ({
+    name,
+    configured: Boolean(LEAD_SINKS[name]?.isConfigured()),
+  }));
+}
+
 function mapFeishuErrorMessage(error) {
   const raw = String(error?.message || "");
   if (raw.startsWith("feishu_auth_failed:")) {
@@ -209,6 +721,12 @@ function mapFeishuErrorMessage(error) {
   if (raw.startsWith("feishu_record_failed:")) {
     return `飞书写入失败：${raw.slice("feishu_record_failed:".length) || "unknown"}`;
   }
+  if (raw.startsWith("feishu_field_failed:")) {
+    return `飞书字段读取或创建失败：${raw.slice("feishu_field_failed:".length) || "unknown"}`;
+  }
+  if (raw.startsWith("feishu_search_failed:")) {
+    return `飞书查询失败：${raw.slice("feishu_search_failed:".length) || "unknown"}`;
+  }
   return "飞书写入失败，请稍后重试";
 }
 
@@ -217,6 +735,184 @@ function parseEnvList(value) {
   return [...new Set(value.split(",").map((part) => part.trim()).filter(Boolean))];
 }
 
+function parseEnvJson(value, fallback) {
+  if (typeof value !== "string" || !value.trim()) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error("invalid_env_json", value.slice(0, 80));
+    return fallback;
+  }
+}
+
+function parseLeadNotifyRoutes(value) {
+  const rows = parseEnvJson(value, []);
+  if (!Array.isArray(rows)) return [];
+  return rows
+    .map((row) => ({
+      products: normalizeProductList(row?.products),
+      feishuWebhook: normalizeText(row?.feishuWebhook, 600),
+      feishuSecret: normalizeText(row?.feishuSecret, 200),
+      wecomWebhook: normalizeText(row?.wecomWebhook, 600),
+    }))
+    .filter((row) => row.products.length > 0 && (row.feishuWebhook || row.wecomWebhook));
+}
+
+function parseArticleFieldMap(value) {
+  const raw = parseEnvJson(value, {});
+  const map = { ...DEFAULT_FEISHU_ARTICLE_FIELDS };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return map;
+  for (const [key, column] of Object.entries(raw)) {
+    const name = normalizeText(column, 100);
+    if (!(key in DEFAULT_FEISHU_ARTICLE_FIELDS) || !name) {
+      console.error("invalid_article_field", key);
+      continue;
+    }
+    map[key] = name;
+  }
+  return map;
+}
+function parseAttributionFieldMap(value) {
+  const raw = parseEnvJson(value, {});
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  const map = {};
+  for (const [attributionPath, column] of Object.entries(raw)) {
+    const name = normalizeText(column, 100);
+    if (!LEAD_ATTRIBUTION_PATHS.includes(attributionPath) || !name) {
+      console.error("invalid_attribution_field", attributionPath);
+      continue;
+    }
+    map[attributionPath] = name;
+  }
+  return map;
+}
+
+function parseClockMinutes(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(normalizeText(value, 5));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return fallback;
+  return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+}
+
+function parseWorkingHours(raw, fallback) {
+  if (!raw || typeof raw !== "object") return fallback;
+  const days = Array.isArray(raw.days)
+    ? raw.days.map(Number).filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    : [1, 2, 3, 4, 5];
+  return {
+    days: new Set(days),
+    startMinutes: parseClockMinutes(raw.start, 9 * 60),
+    endMinutes: parseClockMinutes(raw.end, 18 * 60),
+  };
+}
+
+function parseRoutingOwner(raw, workingHours) {
+  const openId = normalizeText(raw?.openId, 100);
+  if (!openId) return null;
+  return {
+    name: normalizeText(raw.name, 40) || openId,
+    openId,
+    workingHours: parseWorkingHours(raw.workingHours, workingHours),
+  };
+}
+
+function parseLeadRoutingConfig(value) {
+  const raw = parseEnvJson(value, null);
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.rules)) return null;
+  // 工作时间逐级继承：全局 → 团队 → 成员，未配置时不限时间
+  const globalHours = parseWorkingHours(raw.workingHours, null);
+  const teams = {};
+  for (const [teamName, team] of Object.entries(raw.teams && typeof raw.teams === "object" ? raw.teams : {})) {
+    const teamHours = parseWorkingHours(team?.workingHours, globalHours);
+    const members = (Array.isArray(team?.members) ? team.members : [])
+      .map((member) => parseRoutingOwner(member, teamHours))
+      .filter(Boolean);
+    if (members.length > 0) teams[teamName] = members;
+    else console.error("invalid_routing_team", teamName);
+  }
+  const rules = [];
+  for (const rule of raw.rules) {
+    const owner = rule?.owner ? parseRoutingOwner(rule.owner, globalHours) : null;
+    const team = typeof rule?.team === "string" && teams[rule.team] ? rule.team : "";
+    if (!owner && !team) {
+      console.error("invalid_routing_rule", JSON.stringify(rule).slice(0, 80));
+      continue;
+    }
+    rules.push({ products: normalizeProductList(rule.products), owner, team });
+  }
+  return rules.length > 0 ? { teams, rules } : null;
+}
+
+function parseLeadFormField(raw) {
+  const name = normalizeText(raw?.name, 40);
+  const type = LEAD_FORM_FIELD_TYPES.has(raw?.type) ? raw.type : "";
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name) || !type || RESERVED_LEAD_FIELD_NAMES.has(name)) return null;
+  const options = type === "enum" || type === "multiEnum" ? normalizeProductList(raw.options) : [];
+  if (type === "enum" && options.length === 0) return null;
+  const defaultMaxLength = { textarea: 500, multiEnum: 30, email: 100, phone: 20 }[type] || 100;
+  return {
+    name,
+    type,
+    label: normalizeText(raw.label, 40) || name,
+    required: raw.required === true,
+    maxLength: clampNumber(raw.maxLength, 1, 2000, defaultMaxLength),
+    options,
+    default: normalizeText(raw.default, 100),
+    column: normalizeText(raw.column, 100),
+    notify: raw.notify !== false,
+  };
+}
+
+function parseLeadForm(raw) {
+  const id = normalizeText(raw?.id, 32);
+  if (!/^[a-z][a-z0-9-]{1,31}$/.test(id) || RESERVED_LEAD_FORM_IDS.has(id)) return null;
+  const fields = (Array.isArray(raw.fields) ? raw.fields : []).map(parseLeadFormField);
+  if (fields.length === 0 || fields.includes(null)) return null;
+  // 限流、短信验证、去重和个人数据删除都以手机号为准
+  const phoneField = fields.find((field) => field.name === "phone");
+  if (!phoneField || phoneField.type !== "phone" || !phoneField.required) return null;
+  const fieldNames = new Set([...fields.map((field) => field.name), "sourcePage"]);
+  const dedupeKey = Array.isArray(raw.dedupeKey) ? raw.dedupeKey.filter((name) => fieldNames.has(name)) : [];
+  const title = normalizeText(raw.title, 40) || id;
+  return {
+    id,
+    title,
+    leadType: normalizeText(raw.leadType, 20) || title,
+    tableId: normalizeText(raw.tableId, 60) || normalizeText(process.env[raw.tableIdEnv] || "", 60),
+    priorityBase: clampNumber(raw.priorityBase, 0, 100, 20),
+    fields,
+    dedupeKey,
+    messages: {
+      success: normalizeText(raw.messages?.success, 100) || "提交成功",
+      merged: normalizeText(raw.messages?.merged, 100) || "我们已收到您的提交，会尽快联系您",
+    },
+  };
+}
+
+function loadLeadForms(filePath) {
+  const byId = new Map(DEFAULT_LEAD_FORMS.map((form) => [form.id, form]));
+  if (fsNative.existsSync(filePath)) {
+    let custom = [];
+    try {
+      custom = JSON.parse(fsNative.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error("invalid_lead_forms_file", filePath, error.message);
+    }
+    for (const form of Array.isArray(custom) ? custom : []) {
+      if (form && typeof form.id === "string") byId.set(form.id, form);
+    }
+  }
+  const forms = {};
+  for (const raw of byId.values()) {
+    const form = parseLeadForm(raw);
+    if (!form) {
+      console.error("invalid_lead_form", String(raw.id).slice(0, 40));
+      continue;
+    }
+    forms[form.id] = form;
+  }
+  return forms;
+}
+
 function clampNumber(value, min, max, fallback) {
   const parsed = Number(value);
   if (!Number.isFinite(parsed)) return fallback;
@@ -280,11 +976,6 @@ function isWxCaptchaUrl(rawLink) {
   }
 }
 
-function mappedTitleForConsultationLink(link) {
-  const canonicalLink = canonicalizeConsultationLink(link);
-  return normalizeText(CONSULTATION_ARTICLE_TITLE_OVERRIDES[canonicalLink], 140);
-}
-
 function sourceNameFromUrl(sourceUrl) {
   try {
     const host = new URL(canonicalizeConsultationLink(sourceUrl)).hostname.replace(/^www\./i, "");
@@ -309,6 +1000,8 @@ function normalizeArticle(raw, fallbackSourceName = "公众号文章") {
     normalizeText(stripHtml(decodeXmlEntities(raw.sourceName || fallbackSourceName)), 60) ||
     "公众号文章";
   const publishedAt = normalizeDate(raw.publishedAt || raw.pubDate || raw.updated || "");
+  const author = normalizeText(stripHtml(decodeXmlEntities(raw.author || "")), 60);
+  const avatar = normalizeText(String(raw.avatar || ""), 600);
   if (!title) return null;
   if (!/^https?:\/\//i.test(link)) return null;
   const normalizedImage = /^https?:\/\//i.test(image) ? image : "";
@@ -320,6 +1013,9 @@ function normalizeArticle(raw, fallbackSourceName = "公众号文章") {
     category,
     sourceName,
     publishedAt,
+    author,
+    original: raw.original === true,
+    avatar: /^https?:\/\//i.test(avatar) ? avatar : "",
   };
 }
 
@@ -341,8 +1037,25 @@ function parseXmlLink(block) {
   return parseXmlTag(block, "link");
 }
 
+function parseXmlImage(block) {
+  const mediaMatch = block.match(/<media:(?:thumbnail|content)\b[^>]*url=["']([^"']+)["'][^>]*>/i);
+  if (mediaMatch) return decodeXmlEntities(mediaMatch[1].trim());
+  const enclosures = block.match(/<enclosure\b[^>]*>/gi) || [];
+  for (const tag of enclosures) {
+    const attrs = parseHtmlAttributes(tag);
+    if (attrs.url && /^image\//i.test(attrs.type || "")) return attrs.url;
+  }
+  const content = decodeXmlEntities(parseXmlTag(block, "content:encoded") || parseXmlTag(block, "description"));
+  const imgMatch = content.match(/<img\b[^>]*src=["']([^"']+)["']/i);
+  return imgMatch ? imgMatch[1].trim() : "";
+}
+
 function parseXmlFeed(rawText, sourceUrl) {
-  const sourceName = sourceNameFromUrl(sourceUrl);
+  // 频道标题在第一个 item/entry 之前，用作来源名称
+  const firstNodeIndex = rawText.search(/<(item|entry)\b/i);
+  const header = firstNodeIndex >= 0 ? rawText.slice(0, firstNodeIndex) : rawText;
+  const feedTitle = normalizeText(stripHtml(decodeXmlEntities(parseXmlTag(header, "title"))), 60);
+  const sourceName = feedTitle || sourceNameFromUrl(sourceUrl);
   const nodes = [
     ...(rawText.match(/<item\b[\s\S]*?<\/item>/gi) || []),
     ...(rawText.match(/<entry\b[\s\S]*?<\/entry>/gi) || []),
@@ -356,12 +1069,14 @@ function parseXmlFeed(rawText, sourceUrl) {
             parseXmlTag(node, "description") ||
             parseXmlTag(node, "summary") ||
             parseXmlTag(node, "content"),
-          link: parseXmlLink(node),
+          link: toAbsoluteUrl(sourceUrl, decodeXmlEntities(parseXmlLink(node))),
+          image: toAbsoluteUrl(sourceUrl, parseXmlImage(node)),
           category: parseXmlTag(node, "category"),
           publishedAt:
             parseXmlTag(node, "pubDate") ||
             parseXmlTag(node, "published") ||
-            parseXmlTag(node, "updated"),
+            parseXmlTag(node, "updated") ||
+            parseXmlTag(node, "dc:date"),
           sourceName,
         },
         sourceName,
@@ -371,7 +1086,11 @@ function parseXmlFeed(rawText, sourceUrl) {
 }
 
 function parseJsonFeed(payload, sourceUrl) {
-  const sourceName = sourceNameFromUrl(sourceUrl);
+  const feedTitle =
+    payload && typeof payload === "object" && !Array.isArray(payload)
+      ? normalizeText(stripHtml(String(payload.title || "")), 60)
+      : "";
+  const sourceName = feedTitle || sourceNameFromUrl(sourceUrl);
   let rows = [];
   if (Array.isArray(payload)) rows = payload;
   else if (payload && typeof payload === "object") {
@@ -386,10 +1105,18 @@ function parseJsonFeed(payload, sourceUrl) {
           title: row?.title || row?.name || row?.headline,
           summary:
             row?.summary || row?.description || row?.contentSnippet || row?.content_text || row?.excerpt,
-          link: row?.link || row?.url || row?.guid,
-          category: row?.category || row?.tag || row?.topic,
+          link: toAbsoluteUrl(sourceUrl, row?.link || row?.url || row?.external_url || row?.guid),
+          image: toAbsoluteUrl(sourceUrl, row?.image || row?.banner_image || row?.cover || row?.thumbnail),
+          category: row?.category || (Array.isArray(row?.tags) ? row.tags[0] : row?.tag) || row?.topic,
           publishedAt:
-            row?.publishedAt || row?.pubDate || row?.published || row?.date || row?.updated || row?.isoDate,
+            row?.publishedAt ||
+            row?.date_published ||
+            row?.pubDate ||
+            row?.published ||
+            row?.date ||
+            row?.updated ||
+            row?.date_modified ||
+            row?.isoDate,
           sourceName: row?.sourceName || row?.source || sourceName,
         },
         sourceName,
@@ -472,24 +1199,26 @@ function extractWxImageFromScript(html) {
   return normalizeText(msgImage || headImage, 600);
 }
 
-async function fetchArticleFromLink(link) {
-  const sourceLink = canonicalizeConsultationLink(link);
+// 公众号脚本里的发布时间：ct / create_time 是秒级时间戳，publish_time 是北京时间日期
+function extractWxPublishTime(html) {
+  const timestampMatch =
+    html.match(/\bvar\s+ct\s*=\s*["']?(\d{9,11})\b/) ||
+    html.match(/\bcreate_time\s*[:=]\s*(?:JsDecode\()?["']?(\d{9,11})\b/);
+  if (timestampMatch) return new Date(Number(timestampMatch[1]) * 1000).toISOString();
+  const dateMatch = html.match(/\bpublish_time\s*=\s*["'](\d{4}-\d{2}-\d{2})(?:\s+(\d{2}:\d{2}))?["']/);
+  if (dateMatch) return normalizeDate(`${dateMatch[1]}T${dateMatch[2] || "00:00"}:00+08:00`);
+  return "";
+}
+
+// copyright_stat 为 1 / 11 表示原创；没有该变量时看页面上的原创标识
+function isWxOriginalArticle(html) {
+  const match = html.match(/\b_?copyright_stat\s*=\s*["']?(\d+)/);
+  if (match) return match[1] === "1" || match[1] === "11";
+  return /\bid=["']copyright_logo["']/.test(html);
+}
+
+function parseArticlePage(html, sourceLink, finalUrl) {
   const fallbackSourceName = sourceNameFromUrl(sourceLink);
-  const response = await fetch(sourceLink, {
-    headers: {
-      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-      "User-Agent": "FQGW1-ConsultationCard/1.0",
-    },
-    redirect: "follow",
-  });
-  if (!response.ok) {
-    throw new Error(`http_${response.status}`);
-  }
-  const html = await response.text();
-  const finalUrl = response.url || sourceLink;
-  if (isWxCaptchaUrl(finalUrl)) {
-    throw new Error("wx_captcha_blocked");
-  }
   const wxTitle = extractWxScriptValue(html, "msg_title");
   const wxDesc = extractWxScriptValue(html, "msg_desc");
   const wxNickname = extractWxScriptValue(html, "nickname");
@@ -498,9 +1227,7 @@ async function fetchArticleFromLink(link) {
     60,
   );
   const sourceName = wxNickname || siteName || fallbackSourceName;
-  const mappedTitle = mappedTitleForConsultationLink(sourceLink);
   const title =
-    mappedTitle ||
     wxTitle ||
     extractMetaContent(html, ["og:title", "twitter:title"]) ||
     extractTitleTag(html) ||
@@ -515,7 +1242,13 @@ async function fetchArticleFromLink(link) {
   );
   const publishedAt =
     normalizeDate(extractMetaContent(html, ["article:published_time", "og:published_time"])) ||
-    "";
+    extractWxPublishTime(html);
+  const author =
+    extractMetaContent(html, ["author", "article:author"]) || extractWxScriptValue(html, "author");
+  const avatar =
+    extractWxScriptValue(html, "round_head_img") ||
+    extractWxScriptValue(html, "hd_head_img") ||
+    extractWxScriptValue(html, "ori_head_img_url");
   return normalizeArticle(
     {
       title,
@@ -525,16 +1258,185 @@ async function fetchArticleFromLink(link) {
       category: "公众号文章",
       sourceName,
       publishedAt,
+      author,
+      original: isWxOriginalArticle(html),
+      avatar: toAbsoluteUrl(finalUrl, avatar),
     },
     sourceName,
   );
 }
 
+function consultationArticleId(link) {
+  return sha256Hex(`article:${canonicalizeConsultationLink(link)}`).slice(0, 16);
+}
+
+// 取出指定 id 元素的内部 html，按同名标签的嵌套层数找到对应的结束标签
+function extractElementInnerHtml(html, elementId) {
+  const openMatch = new RegExp(`<([a-zA-Z][a-zA-Z0-9]*)\\b[^>]*\\bid=["']${elementId}["'][^>]*>`, "i").exec(html);
+  if (!openMatch) return "";
+  const start = openMatch.index + openMatch[0].length;
+  const tagReg = new RegExp(`<(/?)${openMatch[1]}\\b[^>]*>`, "gi");
+  tagReg.lastIndex = start;
+  let depth = 1;
+  let match = tagReg.exec(html);
+  while (match) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return html.slice(start, match.index);
+    match = tagReg.exec(html);
+  }
+  return html.slice(start);
+}
+
+function renderArticleBodyTag(tag, attrs, baseUrl, images) {
+  if (tag === "img") {
+    // 公众号图片是懒加载的，真实地址在 data-src
+    const src = toAbsoluteUrl(baseUrl, attrs["data-src"] || attrs.src);
+    if (!/^https?:\/\//i.test(src)) return "";
+    images.push(src);
+    const proxied = proxiedImageUrl(src);
+    const referrerPolicy = proxied === src ? ' referrerpolicy="no-referrer"' : "";
+    return `<img src="${escapeXml(proxied)}" alt="${escapeXml(normalizeText(attrs.alt, 140))}" loading="lazy"${referrerPolicy} />`;
+  }
+  if (tag === "a") {
+    const href = toAbsoluteUrl(baseUrl, attrs.href);
+    if (!/^https?:\/\//i.test(href)) return "<a>";
+    return `<a href="${escapeXml(href)}" target="_blank" rel="noopener noreferrer nofollow">`;
+  }
+  if (tag === "td" || tag === "th") {
+    const spans = ["colspan", "rowspan"]
+      .filter((name) => /^\d{1,2}$/.test(attrs[name] || ""))
+      .map((name) => ` ${name}="${attrs[name]}"`)
+      .join("");
+    return `<${tag}${spans}>`;
+  }
+  return `<${tag}>`;
+}
+
+function sanitizeArticleHtml(rawHtml, baseUrl) {
+  const output = [];
+  const images = [];
+  const openTags = [];
+  let dropTag = "";
+  let dropDepth = 0;
+  const tokenReg = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/g;
+  for (const match of rawHtml.matchAll(tokenReg)) {
+    const [token, closing, rawName, rawAttrs] = match;
+    if (!rawName) {
+      if (dropTag || token.startsWith("<!--")) continue;
+      output.push(token === "<" ? "&lt;" : token);
+      continue;
+    }
+    const name = rawName.toLowerCase();
+    const selfClosing = token.endsWith("/>");
+    if (dropTag) {
+      if (name === dropTag && !selfClosing) dropDepth += closing ? -1 : 1;
+      if (dropDepth === 0) dropTag = "";
+      continue;
+    }
+    if (ARTICLE_BODY_DROP_TAGS.has(name)) {
+      if (!closing && !selfClosing) {
+        dropTag = name;
+        dropDepth = 1;
+      }
+      continue;
+    }
+    // 页面标题已经是 h1，正文里的 h1 降一级
+    const tag = name === "h1" ? "h2" : name;
+    if (!ARTICLE_BODY_TAGS.has(tag)) continue;
+    if (closing) {
+      const index = openTags.lastIndexOf(tag);
+      if (index < 0) continue;
+      while (openTags.length > index) output.push(`</${openTags.pop()}>`);
+      continue;
+    }
+    const rendered = renderArticleBodyTag(tag, parseHtmlAttributes(rawAttrs || ""), baseUrl, images);
+    if (!rendered) continue;
+    output.push(rendered);
+    if (!ARTICLE_BODY_VOID_TAGS.has(tag) && !selfClosing) openTags.push(tag);
+  }
+  while (openTags.length > 0) output.push(`</${openTags.pop()}>`);
+  return { html: output.join("").trim(), images: [...new Set(images)] };
+}
+
+function extractArticleBody(html, baseUrl) {
+  const inner = extractElementInnerHtml(html, "js_content");
+  if (!inner) return null;
+  const content = sanitizeArticleHtml(inner, baseUrl);
+  if (!stripHtml(content.html).trim() && content.images.length === 0) return null;
+  if (content.html.length > CONSULTATION_BODY_MAX_CHARS) return null;
+  return content;
+}
+
+// 按 Content-Type 判断来源格式；类型不明确时再看正文开头
+function detectArticleSourceFormat(contentType, body) {
+  const type = String(contentType || "").toLowerCase();
+  if (/(rss|atom)\+xml|\/xml\b|\+xml\b/.test(type)) return "xml";
+  if (/\/feed\+json|\/json\b|\+json\b/.test(type)) return "json";
+  if (type.includes("text/html") || type.includes("xhtml")) return "html";
+  const head = String(body || "").slice(0, 512).trimStart();
+  if (/^(<\?xml\b|<rss\b|<feed\b|<rdf:RDF\b)/i.test(head)) return "xml";
+  if (/^[{[]/.test(head)) return "json";
+  return "html";
+}
+
+// 拉取一个来源：订阅源（RSS / Atom / JSON Feed）展开为多篇文章，普通网页解析为单篇
+async function fetchConsultationSource(link) {
+  try {
+    return await requestConsultationSource(link);
+  } catch (error) {
+    if (error?.name === "TimeoutError") throw new Error("fetch_timeout");
+    throw error;
+  }
+}
+
+async function requestConsultationSource(link) {
+  const sourceLink = canonicalizeConsultationLink(link);
+  const response = await fetch(sourceLink, {
+    headers: {
+      Accept:
+        "text/html,application/xhtml+xml,application/rss+xml,application/atom+xml,application/feed+json,application/json;q=0.9,application/xml;q=0.9,*/*;q=0.8",
+      "User-Agent": "FQGW1-ConsultationCard/1.0",
+    },
+    redirect: "follow",
+    signal: AbortSignal.timeout(CONSULTATION_FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`http_${response.status}`);
+  }
+  const body = await response.text();
+  const finalUrl = response.url || sourceLink;
+  if (isWxCaptchaUrl(finalUrl)) {
+    throw new Error("wx_captcha_blocked");
+  }
+  const format = detectArticleSourceFormat(response.headers.get("content-type"), body);
+  if (format === "html") {
+    const item = parseArticlePage(body, sourceLink, finalUrl);
+    return { type: "page", items: item ? [item] : [], content: extractArticleBody(body, finalUrl) };
+  }
+  let items;
+  if (format === "json") {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      throw new Error("feed_invalid_json");
+    }
+    items = parseJsonFeed(payload, finalUrl);
+  } else {
+    items = parseXmlFeed(body, finalUrl);
+  }
+  if (items.length === 0) {
+    throw new Error("feed_empty");
+  }
+  return { type: "feed", items };
+}
+
 function articleTimestamp(item) {
   const timestamp = Date.parse(item?.publishedAt || "");
   return Number.isFinite(timestamp) ? timestamp : 0;
 }
 
+// 同一链接只保留第一次出现的；按发布时间排序时没有日期的排在最后，其余保持原顺序
 function dedupeAndSortArticles(items) {
   const seenLinks = new Set();
   const result = [];
@@ -542,8 +1444,8 @@ function dedupeAndSortArticles(items) {
     if (seenLinks.has(item.link)) continue;
     seenLinks.add(item.link);
     result.push(item);
-    if (result.length >= CONSULTATION_MAX_ITEMS) break;
   }
+  if (CONSULTATION_SORT === "date") result.sort((a, b) => articleTimestamp(b) - articleTimestamp(a));
   return result;
 }
 
@@ -553,14 +1455,13 @@ function isLikelyUrl(value) {
 
 function buildFallbackArticle(link, previousItem) {
   const canonicalLink = canonicalizeConsultationLink(link);
-  const mappedTitle = mappedTitleForConsultationLink(canonicalLink);
   if (previousItem && canonicalizeConsultationLink(previousItem.link) === canonicalLink) {
     const safeTitle = normalizeText(previousItem.title, 140);
     const previousSummary = normalizeText(previousItem.summary, 220);
     const safeSummary = previousSummary === "点击查看公众号原文" ? "" : previousSummary;
     return {
       ...previousItem,
-      title: mappedTitle || (safeTitle && !isLikelyUrl(safeTitle) ? safeTitle : "公众号原文标题"),
+      title: safeTitle && !isLikelyUrl(safeTitle) ? safeTitle : "公众号原文标题",
       summary: safeSummary,
       category: normalizeText(previousItem.category, 32) || "公众号文章",
       sourceName: normalizeText(previousItem.sourceName, 60) || sourceNameFromUrl(canonicalLink),
@@ -570,13 +1471,16 @@ function buildFallbackArticle(link, previousItem) {
   }
   const sourceName = sourceNameFromUrl(canonicalLink);
   return {
-    title: mappedTitle || "公众号原文标题",
+    title: "公众号原文标题",
     summary: "",
     link: canonicalLink,
     image: "",
     category: "公众号文章",
     sourceName,
     publishedAt: "",
+    author: "",
+    original: false,
+    avatar: "",
   };
 }
 
@@ -584,17 +1488,22 @@ async function loadConsultationArticleCache() {
   try {
     const raw = await fs.readFile(CONSULTATION_CACHE_FILE, "utf8");
     const parsed = JSON.parse(raw);
-    const items = Array.isArray(parsed?.items)
+    consultationSourceTable.rows = Array.isArray(parsed?.sourceTable?.rows)
+      ? parsed.sourceTable.rows.map(normalizeConsultationSourceRow).filter(Boolean)
+      : [];
+    consultationSourceTable.syncedAt = normalizeText(String(parsed?.sourceTable?.syncedAt || ""), 80);
+    consultationSourceTable.error = normalizeText(String(parsed?.sourceTable?.error || ""), 240);
+    // 旧版缓存只有 items，当作同步结果读入
+    const storedItems = Array.isArray(parsed?.fetchedItems) ? parsed.fetchedItems : parsed?.items;
+    const items = Array.isArray(storedItems)
       ? dedupeAndSortArticles(
-          parsed.items
+          storedItems
             .map((item) => {
               const canonicalLink = canonicalizeConsultationLink(item?.link || item?.url || "");
-              const mappedTitle = mappedTitleForConsultationLink(canonicalLink);
               return normalizeArticle(
                 {
                   ...item,
                   link: canonicalLink || item?.link || "",
-                  title: mappedTitle || item?.title || "",
                 },
                 sourceNameFromUrl(canonicalLink || item?.link || ""),
               );
@@ -603,11 +1512,23 @@ async function loadConsultationArticleCache() {
         )
       : [];
     if (items.length > 0) {
-      consultationArticlesCache.items = items;
+      consultationArticlesCache.fetched = items;
+      publishConsultationArticles();
     }
     consultationArticlesCache.updatedAt = normalizeText(String(parsed?.updatedAt || ""), 80);
     consultationArticlesCache.lastSuccessAt = normalizeText(String(parsed?.lastSuccessAt || ""), 80);
     consultationArticlesCache.error = normalizeText(String(parsed?.error || ""), 240);
+    consultationArticlesCache.sources = Array.isArray(parsed?.sources)
+      ? parsed.sources.map(normalizeConsultationSourceStatus).filter(Boolean)
+      : [];
+    consultationArticlesCache.bodies = {};
+    for (const [id, body] of Object.entries(parsed?.bodies || {})) {
+      if (!/^[a-f0-9]{16}$/.test(id)) continue;
+      consultationArticlesCache.bodies[id] = {
+        images: Array.isArray(body?.images) ? body.images.filter((image) => isLikelyUrl(image)) : [],
+        fetchedAt: normalizeText(String(body?.fetchedAt || ""), 80),
+      };
+    }
   } catch {
     // keep default fallback content
   }
@@ -620,9 +1541,13 @@ async function persistConsultationArticleCache() {
     JSON.stringify(
       {
         items: consultationArticlesCache.items,
+        fetchedItems: consultationArticlesCache.fetched,
         updatedAt: consultationArticlesCache.updatedAt,
         lastSuccessAt: consultationArticlesCache.lastSuccessAt,
         error: consultationArticlesCache.error,
+        sources: consultationArticlesCache.sources,
+        bodies: consultationArticlesCache.bodies,
+        sourceTable: consultationSourceTable,
       },
       null,
       2,
@@ -631,67 +1556,1265 @@ async function persistConsultationArticleCache() {
   );
 }
 
-async function syncConsultationArticles() {
-  if (CONSULTATION_ARTICLE_LINKS.length === 0) {
-    consultationArticlesCache.error = "CONSULTATION_ARTICLE_LINKS 未配置，使用默认文章内容";
-    return;
+function normalizeConsultationEdit(raw) {
+  const edit = {};
+  for (const [field, maxLength] of Object.entries(CONSULTATION_EDIT_FIELDS)) {
+    const value = normalizeText(raw?.[field], maxLength);
+    if (value) edit[field] = value;
   }
-  const targetLinks = CONSULTATION_ARTICLE_LINKS.slice(0, CONSULTATION_MAX_ITEMS);
-  const results = await Promise.allSettled(targetLinks.map((link) => fetchArticleFromLink(link)));
-  const previousByLink = new Map(
-    (Array.isArray(consultationArticlesCache.items) ? consultationArticlesCache.items : []).map((item) => [
-      canonicalizeConsultationLink(item?.link),
-      item,
-    ]),
-  );
-  const items = [];
-  const errors = [];
-  results.forEach((result, index) => {
-    const source = canonicalizeConsultationLink(targetLinks[index]);
-    const previousItem = previousByLink.get(source);
-    if (result.status === "fulfilled") {
-      if (result.value) {
-        const safeItem = normalizeArticle(
-          {
-            ...result.value,
-            link: source,
-            title: mappedTitleForConsultationLink(source) || result.value.title || "公众号原文标题",
-          },
-          sourceNameFromUrl(source),
-        );
-        items.push(safeItem || buildFallbackArticle(source, previousItem));
-      } else {
-        items.push(buildFallbackArticle(source, previousItem));
-      }
-      return;
-    }
-    items.push(buildFallbackArticle(source, previousItem));
-    errors.push(`${source}: ${result.reason?.message || "fetch_failed"}`);
-  });
+  if (raw?.pinned === true) edit.pinned = true;
+  if (raw?.hidden === true) edit.hidden = true;
+  return edit;
+}
 
-  const articles = dedupeAndSortArticles(items);
-  if (articles.length > 0) {
-    consultationArticlesCache.items = articles;
-    const now = new Date().toISOString();
-    consultationArticlesCache.updatedAt = now;
-    consultationArticlesCache.lastSuccessAt = now;
-  }
-  consultationArticlesCache.error = errors.join(" | ").slice(0, 240);
-  await persistConsultationArticleCache();
+function normalizeConsultationLinkList(value, maxCount) {
+  if (!Array.isArray(value)) return [];
+  const links = value.map((link) => canonicalizeConsultationLink(link)).filter((link) => isLikelyUrl(link));
+  return [...new Set(links)].slice(0, maxCount);
 }
 
-async function initConsultationArticleSync() {
-  await loadConsultationArticleCache();
-  if (CONSULTATION_ARTICLE_LINKS.length === 0) return;
+async function loadConsultationEdits() {
   try {
-    await syncConsultationArticles();
+    const parsed = JSON.parse(await fs.readFile(CONSULTATION_EDITS_FILE, "utf8"));
+    consultationEdits.sources = normalizeConsultationLinkList(parsed?.sources, CONSULTATION_MAX_SOURCES);
+    consultationEdits.removed = normalizeConsultationLinkList(parsed?.removed, Infinity);
+    consultationEdits.order = normalizeConsultationLinkList(parsed?.order, CONSULTATION_MAX_ORDER);
+    consultationEdits.articles = {};
+    for (const [link, raw] of Object.entries(parsed?.articles || {})) {
+      const key = canonicalizeConsultationLink(link);
+      const edit = normalizeConsultationEdit(raw);
+      if (key && Object.keys(edit).length > 0) consultationEdits.articles[key] = edit;
+    }
+    consultationEdits.updatedAt = normalizeText(String(parsed?.updatedAt || ""), 80);
   } catch (error) {
-    console.error("consultation_article_sync_failed", error);
+    if (error.code !== "ENOENT") {
+      console.error("consultation_edits_load_failed", error);
+      return;
+    }
+    for (const [link, title] of Object.entries(DEFAULT_CONSULTATION_ARTICLE_TITLES)) {
+      consultationEdits.articles[canonicalizeConsultationLink(link)] = { title };
+    }
   }
 }
 
-async function readJsonBody(req) {
-  return new Promise((resolve, reject) => {
+function persistConsultationEdits() {
+  consultationEdits.updatedAt = new Date().toISOString();
+  const snapshot = JSON.stringify(
+    {
+      sources: consultationEdits.sources,
+      removed: consultationEdits.removed,
+      order: consultationEdits.order,
+      articles: consultationEdits.articles,
+      updatedAt: consultationEdits.updatedAt,
+    },
+    null,
+    2,
+  );
+  const write = consultationEdits.writeChain
+    .then(() => fs.mkdir(path.dirname(CONSULTATION_EDITS_FILE), { recursive: true }))
+    .then(() => fs.writeFile(CONSULTATION_EDITS_FILE, snapshot, "utf8"));
+  consultationEdits.writeChain = write.catch(() => {});
+  return write;
+}
+
+function isConsultationSourceTableEnabled() {
+  return Boolean(FEISHU_APP_ID && FEISHU_APP_SECRET && FEISHU_ARTICLE_APP_TOKEN && FEISHU_ARTICLE_TABLE_ID);
+}
+
+// 关掉来源表配置后不再使用缓存里的旧表格内容
+function getConsultationSourceRows() {
+  return isConsultationSourceTableEnabled() ? consultationSourceTable.rows : [];
+}
+
+// 飞书来源表有内容时以表格为准，否则用环境变量里的来源
+function getConfiguredConsultationLinks() {
+  const rows = getConsultationSourceRows();
+  const links = rows.length > 0 ? rows.map((row) => row.link) : CONSULTATION_ARTICLE_LINKS;
+  return links.map((link) => canonicalizeConsultationLink(link));
+}
+
+// 配置的来源加上管理接口新增的来源，去掉已删除的
+function getConsultationSourceLinks() {
+  const removed = new Set(consultationEdits.removed);
+  const links = [...getConfiguredConsultationLinks(), ...consultationEdits.sources];
+  return [...new Set(links)].filter((link) => link && !removed.has(link)).slice(0, CONSULTATION_MAX_SOURCES);
+}
+
+// 来源表里的覆盖字段打底，管理接口的编辑优先
+function getConsultationArticleEdits() {
+  const edits = new Map(getConsultationSourceRows().map((row) => [row.link, row.edit]));
+  for (const [link, edit] of Object.entries(consultationEdits.articles)) {
+    edits.set(link, { ...edits.get(link), ...edit });
+  }
+  return edits;
+}
+
+// 管理接口的手动排序在前，其后是来源表里填了排序的链接
+function getConsultationOrder() {
+  const tableOrder = getConsultationSourceRows()
+    .filter((row) => row.sort !== null)
+    .map((row) => row.link);
+  return [...new Set([...consultationEdits.order, ...tableOrder])];
+}
+
+// 去掉删除和隐藏的文章并套用覆盖字段；置顶在前，其余先按手动排序，再按同步结果的顺序（见 CONSULTATION_SORT）。
+// 保留全部文章，分页在资讯接口里做
+function applyConsultationArticleEdits(items) {
+  const removed = new Set(consultationEdits.removed);
+  const edits = getConsultationArticleEdits();
+  const orderIndex = new Map(getConsultationOrder().map((link, index) => [link, index]));
+  const rank = (link) => (orderIndex.has(link) ? orderIndex.get(link) : Number.MAX_SAFE_INTEGER);
+  return items
+    .map((item, index) => ({ item, index, edit: edits.get(item.link) || {} }))
+    .filter(({ item, edit }) => !removed.has(item.link) && !edit.hidden)
+    .sort(
+      (a, b) =>
+        Number(Boolean(b.edit.pinned)) - Number(Boolean(a.edit.pinned)) ||
+        rank(a.item.link) - rank(b.item.link) ||
+        a.index - b.index,
+    )
+    .map(({ item, edit }) => ({
+      ...item,
+      title: edit.title || item.title,
+      summary: edit.summary || item.summary,
+      image: proxiedImageUrl(edit.image || item.image),
+      avatar: proxiedImageUrl(item.avatar || ""),
+      category: edit.category || item.category,
+      pinned: Boolean(edit.pinned),
+      id: consultationArticleId(item.link),
+      detailUrl: consultationArticlesCache.bodies[consultationArticleId(item.link)]
+        ? `/articles/${consultationArticleId(item.link)}`
+        : "",
+    }));
+}
+
+function publishConsultationArticles() {
+  // 还没有同步结果时保留默认文章
+  if (consultationArticlesCache.fetched.length === 0) return;
+  consultationArticlesCache.items = applyConsultationArticleEdits(consultationArticlesCache.fetched);
+}
+
+function normalizeCanonicalArticle(item) {
+  const link = canonicalizeConsultationLink(item?.link || "");
+  return normalizeArticle(
+    {
+      ...item,
+      link,
+      title: item?.title || "公众号原文标题",
+    },
+    sourceNameFromUrl(link),
+  );
+}
+
+// 与 Promise.allSettled 结果格式相同，但同时最多执行 limit 个任务
+async function settleWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = { status: "fulfilled", value: await task(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, () => worker()));
+  return results;
+}
+
+function consultationSourceBackoffMs(failures) {
+  return Math.min(
+    CONSULTATION_SOURCE_MAX_BACKOFF_MS,
+    Math.max(CONSULTATION_SOURCE_BASE_BACKOFF_MS, CONSULTATION_SYNC_INTERVAL_MS) * 2 ** Math.max(0, failures - 1),
+  );
+}
+
+function syncConsultationArticles(options = {}) {
+  const force = Boolean(options.force);
+  if (!consultationSync.running) {
+    consultationSync.runningForced = force;
+    consultationSync.running = runConsultationArticleSync({ force }).finally(() => {
+      consultationSync.running = null;
+    });
+    return consultationSync.running;
+  }
+  // 正在跑的普通同步会跳过退避中的来源，强制同步要等它结束后再跑一次；多次请求合并成一次
+  if (force && !consultationSync.runningForced) {
+    consultationSync.forcedRerun ||= consultationSync.running
+      .catch(() => {})
+      .then(() => {
+        consultationSync.forcedRerun = null;
+        return syncConsultationArticles({ force: true });
+      });
+    return consultationSync.forcedRerun;
+  }
+  return consultationSync.running;
+}
+
+async function runConsultationArticleSync({ force = false } = {}) {
+  await refreshConsultationSourceTable();
+  const targetLinks = getConsultationSourceLinks();
+  if (targetLinks.length === 0) {
+    consultationArticlesCache.error = "CONSULTATION_ARTICLE_LINKS 未配置，使用默认文章内容";
+    return;
+  }
+  const previousSources = new Map(consultationArticlesCache.sources.map((item) => [item.url, item]));
+  const nowMs = Date.now();
+  const isBackingOff = (link) => {
+    const nextAttemptMs = Date.parse(previousSources.get(canonicalizeConsultationLink(link))?.nextAttemptAt || "");
+    return !force && Number.isFinite(nextAttemptMs) && nextAttemptMs > nowMs;
+  };
+  const results = await settleWithConcurrency(targetLinks, CONSULTATION_SYNC_CONCURRENCY, (link) =>
+    isBackingOff(link) ? null : fetchConsultationSource(link),
+  );
+  const previousByLink = new Map(
+    consultationArticlesCache.fetched.map((item) => [canonicalizeConsultationLink(item?.link), item]),
+  );
+  const checkedAt = new Date().toISOString();
+  const items = [];
+  const errors = [];
+  const sources = [];
+  const contents = [];
+  results.forEach((result, index) => {
+    const source = canonicalizeConsultationLink(targetLinks[index]);
+    const previousItem = previousByLink.get(source);
+    const previousStatus = previousSources.get(source);
+    if (result.status === "fulfilled" && result.value === null) {
+      const kept = previousStatus.links.map((link) => previousByLink.get(link)).filter(Boolean);
+      if (kept.length === 0 && previousStatus.type === "page") kept.push(buildFallbackArticle(source, previousItem));
+      items.push(...kept);
+      if (previousStatus.error) errors.push(`${source}: ${previousStatus.error}`);
+      sources.push({ ...previousStatus, count: kept.length, links: kept.map((item) => item.link) });
+      return;
+    }
+    if (result.status === "fulfilled") {
+      const { type } = result.value;
+      // 单篇网页固定使用配置里的链接，订阅源使用条目自身的链接
+      const fetched = result.value.items
+        .map((item) => normalizeCanonicalArticle(type === "page" ? { ...item, link: source } : item))
+        .filter(Boolean);
+      if (fetched.length === 0) fetched.push(buildFallbackArticle(source, previousItem));
+      if (result.value.content) contents.push({ link: source, content: result.value.content });
+      items.push(...fetched);
+      sources.push({
+        url: source,
+        type,
+        ok: true,
+        count: fetched.length,
+        error: "",
+        checkedAt,
+        lastSuccessAt: checkedAt,
+        lastErrorAt: previousStatus?.lastErrorAt || "",
+        failures: 0,
+        nextAttemptAt: "",
+        links: fetched.map((item) => item.link),
+      });
+      return;
+    }
+    const message = result.reason?.message || "fetch_failed";
+    errors.push(`${source}: ${message}`);
+    const type = previousStatus?.type || (message.startsWith("feed_") ? "feed" : "page");
+    // 订阅源失败时沿用上次成功展开的文章，单篇网页沿用旧内容或占位卡片
+    let kept;
+    if (type === "feed") {
+      kept = (previousStatus?.links || []).map((link) => previousByLink.get(link)).filter(Boolean);
+    } else {
+      kept = [buildFallbackArticle(source, previousItem)];
+    }
+    items.push(...kept);
+    const failures = (previousStatus?.failures || 0) + 1;
+    sources.push({
+      url: source,
+      type,
+      ok: false,
+      count: kept.length,
+      error: normalizeText(message, 120),
+      checkedAt,
+      lastSuccessAt: previousStatus?.lastSuccessAt || "",
+      lastErrorAt: checkedAt,
+      failures,
+      nextAttemptAt: new Date(Date.parse(checkedAt) + consultationSourceBackoffMs(failures)).toISOString(),
+      links: kept.map((item) => item.link),
+    });
+  });
+
+  const articles = dedupeAndSortArticles(items);
+  if (articles.length > 0) {
+    consultationArticlesCache.fetched = articles;
+    const now = new Date().toISOString();
+    consultationArticlesCache.updatedAt = now;
+    consultationArticlesCache.lastSuccessAt = now;
+  }
+  consultationArticlesCache.sources = sources;
+  for (const { link, content } of contents) {
+    await storeConsultationArticleBody(link, content, checkedAt);
+  }
+  consultationArticlesCache.error = errors.join(" | ").slice(0, 240);
+  await pruneConsultationBodies();
+  publishConsultationArticles();
+  await persistConsultationArticleCache();
+  pruneConsultationImageCache().catch((error) => {
+    console.error("consultation_image_prune_failed", error);
+  });
+}
+
+function scheduleConsultationSync() {
+  if (consultationSync.timer) clearTimeout(consultationSync.timer);
+  consultationSync.timer = null;
+  consultationSync.nextRunAt = "";
+  if (CONSULTATION_SYNC_INTERVAL_MS === 0 || getConsultationSourceLinks().length === 0) return;
+  const delayMs = CONSULTATION_SYNC_INTERVAL_MS + Math.floor(Math.random() * (CONSULTATION_SYNC_JITTER_MS + 1));
+  consultationSync.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+  consultationSync.timer = setTimeout(() => {
+    syncConsultationArticles()
+      .catch((error) => {
+        console.error("consultation_article_sync_failed", error);
+      })
+      .finally(() => scheduleConsultationSync());
+  }, delayMs);
+}
+
+function normalizeConsultationSourceStatus(raw) {
+  const url = canonicalizeConsultationLink(raw?.url || "");
+  if (!url) return null;
+  return {
+    url,
+    type: raw.type === "feed" ? "feed" : "page",
+    ok: raw.ok === true,
+    count: clampNumber(raw.count, 0, 1000, 0),
+    error: normalizeText(String(raw.error || ""), 120),
+    checkedAt: normalizeText(String(raw.checkedAt || ""), 80),
+    lastSuccessAt: normalizeText(String(raw.lastSuccessAt || ""), 80),
+    lastErrorAt: normalizeText(String(raw.lastErrorAt || ""), 80),
+    failures: clampNumber(raw.failures, 0, 1000, 0),
+    nextAttemptAt: normalizeText(String(raw.nextAttemptAt || ""), 80),
+    links: Array.isArray(raw.links)
+      ? raw.links.map((link) => canonicalizeConsultationLink(link)).filter(Boolean)
+      : [],
+  };
+}
+
+function normalizeConsultationSourceRow(raw) {
+  const link = canonicalizeConsultationLink(raw?.link || "");
+  if (!isLikelyUrl(link)) return null;
+  const sort = Number(raw.sort);
+  return {
+    link,
+    sort: raw.sort !== null && raw.sort !== "" && Number.isFinite(sort) ? sort : null,
+    edit: normalizeConsultationEdit(raw.edit),
+  };
+}
+
+function parseConsultationSourceRecord(record) {
+  const fields = record?.fields || {};
+  const read = (key) => readFeishuText(fields[FEISHU_ARTICLE_FIELDS[key]]).trim();
+  const image = readFeishuLink(fields[FEISHU_ARTICLE_FIELDS.image]).trim();
+  return normalizeConsultationSourceRow({
+    link: readFeishuLink(fields[FEISHU_ARTICLE_FIELDS.link]).trim(),
+    sort: read("sort"),
+    edit: {
+      title: read("title"),
+      summary: read("summary"),
+      // 附件列的图片需要飞书鉴权才能访问，只认填成链接的封面
+      image: isLikelyUrl(image) ? image : "",
+      category: read("category"),
+      pinned: readFeishuFlag(fields[FEISHU_ARTICLE_FIELDS.pinned]),
+      hidden: readFeishuFlag(fields[FEISHU_ARTICLE_FIELDS.hidden]),
+    },
+  });
+}
+
+async function readConsultationSourceTable() {
+  const rows = [];
+  let pageToken = "";
+  do {
+    const page = await listFeishuRecords(FEISHU_ARTICLE_APP_TOKEN, FEISHU_ARTICLE_TABLE_ID, { pageToken });
+    rows.push(...page.items.map(parseConsultationSourceRecord).filter(Boolean));
+    pageToken = page.hasMore ? page.pageToken : "";
+  } while (pageToken && rows.length < CONSULTATION_MAX_ORDER);
+  // 填了排序的按数字升序排在前面，其余保持表格里的顺序；同一链接只取第一行
+  const seen = new Set();
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => (a.row.sort ?? Infinity) - (b.row.sort ?? Infinity) || a.index - b.index)
+    .map(({ row }) => row)
+    .filter((row) => !seen.has(row.link) && seen.add(row.link))
+    .slice(0, CONSULTATION_MAX_ORDER);
+}
+
+// 跟随定时同步读取来源表；失败时沿用缓存文件里上次读到的内容
+async function refreshConsultationSourceTable() {
+  if (!isConsultationSourceTableEnabled()) return;
+  try {
+    consultationSourceTable.rows = await readConsultationSourceTable();
+    consultationSourceTable.syncedAt = new Date().toISOString();
+    consultationSourceTable.error = "";
+  } catch (error) {
+    console.error("consultation_source_table_failed", error);
+    consultationSourceTable.error = normalizeText(error?.message || "feishu_list_failed", 240);
+  }
+}
+
+// 对外返回的来源状态，不带内部用的文章链接列表
+function getConsultationSourceStatus() {
+  return consultationArticlesCache.sources.map(({ links, ...status }) => status);
+}
+
+async function initConsultationArticleSync() {
+  await loadConsultationEdits();
+  await loadConsultationArticleCache();
+  if (getConsultationSourceLinks().length === 0) return;
+  try {
+    await syncConsultationArticles();
+  } catch (error) {
+    console.error("consultation_article_sync_failed", error);
+  }
+  scheduleConsultationSync();
+}
+
+function getConsultationArticlesMeta() {
+  return {
+    updatedAt: consultationArticlesCache.updatedAt || consultationArticlesCache.lastSuccessAt || "",
+    sourceCount: getConsultationSourceLinks().length,
+    sources: getConsultationSourceStatus(),
+    syncing: Boolean(consultationSync.running),
+    nextSyncAt: consultationSync.nextRunAt,
+    sourceTable: getConsultationSourceTableStatus(),
+    message: consultationArticlesCache.error || "",
+  };
+}
+
+function getConsultationSourceTableStatus() {
+  if (!isConsultationSourceTableEnabled()) return null;
+  return {
+    count: consultationSourceTable.rows.length,
+    syncedAt: consultationSourceTable.syncedAt,
+    error: consultationSourceTable.error,
+  };
+}
+
+function parseConsultationQuery(url) {
+  const get = (key) => url.searchParams.get(key);
+  const query = {
+    category: normalizeText(get("category") || "", 32),
+    source: normalizeText(get("source") || "", 60),
+    q: normalizeText(get("q") || "", 60).toLowerCase(),
+    sinceMs: parseDateParam(get("since")),
+    page: clampNumber(get("page") || 1, 1, 10000, 1),
+    pageSize: clampNumber(get("pageSize") || CONSULTATION_MAX_ITEMS, 1, CONSULTATION_MAX_PAGE_SIZE, CONSULTATION_MAX_ITEMS),
+    after: "",
+  };
+  if (get("since") && !Number.isFinite(query.sinceMs)) return { error: "since 不合法" };
+  // cursor 记录上一页最后一篇文章的链接，优先于 page
+  const cursor = get("cursor");
+  if (cursor) {
+    try {
+      const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+      query.after = typeof parsed?.after === "string" ? parsed.after : "";
+    } catch {
+      query.after = "";
+    }
+    if (!query.after) return { error: "cursor 不合法" };
+  }
+  return query;
+}
+
+function matchesConsultationQuery(item, query) {
+  if (query.source && item.sourceName !== query.source) return false;
+  if (query.q && !`${item.title}\n${item.summary}`.toLowerCase().includes(query.q)) return false;
+  if (Number.isFinite(query.sinceMs) && articleTimestamp(item) < query.sinceMs) return false;
+  return true;
+}
+
+function countConsultationCategories(items) {
+  const counts = new Map();
+  for (const item of items) counts.set(item.category, (counts.get(item.category) || 0) + 1);
+  return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+}
+
+function handleConsultationArticles(req, res, url) {
+  const query = parseConsultationQuery(url);
+  if (query.error) {
+    sendJson(res, 400, { ok: false, message: query.error });
+    return;
+  }
+  // 分类统计不受 category 参数影响，方便页面显示各分类数量
+  const facetItems = consultationArticlesCache.items.filter((item) => matchesConsultationQuery(item, query));
+  const matched = query.category ? facetItems.filter((item) => item.category === query.category) : facetItems;
+  let start = (query.page - 1) * query.pageSize;
+  if (query.after) {
+    const index = matched.findIndex((item) => item.link === query.after);
+    if (index < 0) {
+      sendJson(res, 400, { ok: false, message: "cursor 已失效，请从第一页重新加载" });
+      return;
+    }
+    start = index + 1;
+  }
+  const nowMs = Date.now();
+  const items = matched
+    .slice(start, start + query.pageSize)
+    .map((item) => ({ ...item, relativeDate: formatRelativeDate(item.publishedAt, nowMs) }));
+  const hasMore = start + items.length < matched.length;
+  sendJson(res, 200, {
+    ok: true,
+    items,
+    total: matched.length,
+    page: Math.floor(start / query.pageSize) + 1,
+    pageSize: query.pageSize,
+    nextCursor: hasMore
+      ? Buffer.from(JSON.stringify({ after: items[items.length - 1].link })).toString("base64url")
+      : "",
+    categories: countConsultationCategories(facetItems),
+    ...getConsultationArticlesMeta(),
+  });
+}
+
+function findPublishedConsultationArticle(id) {
+  return consultationArticlesCache.items.find((item) => item.id === id) || null;
+}
+
+async function handleConsultationArticleDetail(req, res, id) {
+  const item = findPublishedConsultationArticle(id);
+  if (!item) {
+    sendJson(res, 404, { ok: false, message: "文章不存在" });
+    return;
+  }
+  sendJson(res, 200, {
+    ok: true,
+    item: { ...item, relativeDate: formatRelativeDate(item.publishedAt) },
+    html: await readConsultationArticleBody(id),
+    canonicalUrl: item.link,
+  });
+}
+
+function buildArticleConsultUrl(url, id) {
+  const params = new URLSearchParams({ consult: "1", cta: `article-${id}` });
+  for (const [key, value] of url.searchParams) {
+    if (key.startsWith("utm_")) params.set(key, value);
+  }
+  return `/consultation.html?${params.toString()}`;
+}
+
+function renderConsultationArticlePage(item, bodyHtml, { consultUrl, imageUrl }) {
+  const title = escapeXml(item.title);
+  const summary = escapeXml(item.summary);
+  const link = escapeXml(item.link);
+  const dateText = item.publishedAt ? formatShanghaiDay(item.publishedAt) : "";
+  const image = escapeXml(imageUrl);
+  const content = bodyHtml
+    ? `<div class="article-body mt-8">${bodyHtml}</div>`
+    : `<div class="mt-8 rounded-xl border border-fq-100 bg-white p-6 text-stone-600">
+          ${summary ? `<p class="leading-7">${summary}</p>` : ""}
+          <p class="mt-3 text-sm text-stone-500">正文暂未同步，请阅读公众号原文。</p>
+        </div>`;
+  return `<!doctype html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title} | 蜂桥官网</title>
+    <meta name="description" content="${summary}" />
+    <link rel="canonical" href="${link}" />
+    <meta property="og:type" content="article" />
+    <meta property="og:title" content="${title}" />
+    <meta property="og:description" content="${summary}" />
+    <meta property="og:url" content="${link}" />
+    ${image ? `<meta property="og:image" content="${image}" />` : ""}
+    <link rel="icon" type="image/png" href="/public/favicon.png" />
+    <link rel="preconnect" href="https://fonts.googleapis.com" />
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
+    <link
+      href="https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@400;500;600;700;800&display=swap"
+      rel="stylesheet"
+    />
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script>
+      tailwind.config = {
+        theme: {
+          extend: {
+            fontFamily: { sans: ["Noto Sans SC", "sans-serif"] },
+            colors: {
+              fq: { 50: "#fff5e7", 100: "#ffe7c8", 200: "#ffe1b1", 300: "#ffcc80", 400: "#ffb347", 500: "#f89410", 600: "#f07f08", 700: "#e06a00", 800: "#c95500" },
+            },
+          },
+        },
+      };
+    </script>
+    <style>
+      .article-body { color: #292524; font-size: 16px; line-height: 1.9; overflow-wrap: anywhere; }
+      .article-body p, .article-body section, .article-body blockquote, .article-body figure, .article-body ul, .article-body ol, .article-body table, .article-body pre { margin: 0.75em 0; }
+      .article-body h2, .article-body h3, .article-body h4 { margin: 1.4em 0 0.6em; font-weight: 700; line-height: 1.5; }
+      .article-body h2 { font-size: 1.35em; }
+      .article-body h3 { font-size: 1.2em; }
+      .article-body img { display: block; max-width: 100%; height: auto; margin: 1em auto; border-radius: 8px; }
+      .article-body a { color: #e06a00; text-decoration: underline; }
+      .article-body blockquote { border-left: 3px solid #ffcc80; padding-left: 1em; color: #57534e; }
+      .article-body ul { list-style: disc; padding-left: 1.5em; }
+      .article-body ol { list-style: decimal; padding-left: 1.5em; }
+      .article-body table { width: 100%; border-collapse: collapse; }
+      .article-body td, .article-body th { border: 1px solid #e7e5e4; padding: 0.4em 0.6em; }
+      .article-body pre { overflow-x: auto; background: #f5f5f4; padding: 1em; border-radius: 8px; }
+    </style>
+  </head>
+  <body class="bg-stone-50 font-sans text-stone-900">
+    <header class="border-b border-fq-100 bg-white/95">
+      <div class="mx-auto flex max-w-3xl items-center justify-between px-4 py-3">
+        <a href="/index.html" class="flex items-center gap-3">
+          <img src="/public/logo.webp" alt="蜂桥 Logo" class="h-9 w-auto rounded object-contain" />
+        </a>
+        <a href="/consultation.html" class="text-sm font-medium text-stone-600 transition hover:text-fq-600">返回产品咨询</a>
+      </div>
+    </header>
+    <main class="mx-auto max-w-3xl px-4 py-8 md:py-12">
+      <article class="rounded-2xl bg-white p-5 shadow-sm md:p-10">
+        <div class="flex flex-wrap items-center gap-2 text-xs text-stone-500">
+          <span class="rounded-full bg-fq-100 px-2.5 py-1 font-bold text-fq-700">${escapeXml(item.category)}</span>
+          ${item.original ? `<span class="rounded-full border border-fq-200 px-2 py-0.5 text-fq-700">原创</span>` : ""}
+          <span>${escapeXml(item.sourceName)}</span>
+          ${item.author ? `<span>作者：${escapeXml(item.author)}</span>` : ""}
+          ${dateText ? `<span>${dateText}</span>` : ""}
+        </div>
+        <h1 class="mt-4 text-2xl font-bold leading-snug text-stone-900 md:text-3xl">${title}</h1>
+        ${content}
+        <p class="mt-8 border-t border-stone-100 pt-4 text-sm text-stone-500">
+          本文转载自公众号，<a href="${link}" target="_blank" rel="noopener noreferrer" class="text-fq-700 underline">阅读原文</a>
+        </p>
+      </article>
+      <section class="mt-6 rounded-2xl bg-gradient-to-r from-fq-500 to-fq-700 p-6 text-white shadow-lg md:flex md:items-center md:justify-between md:p-8">
+        <div>
+          <h2 class="text-lg font-bold md:text-xl">想了解蜂桥产品如何帮你提效？</h2>
+          <p class="mt-1 text-sm text-white/85">留下联系方式，顾问会尽快为你安排一对一演示。</p>
+        </div>
+        <a href="${escapeXml(consultUrl)}" class="mt-4 inline-block rounded-full bg-white px-6 py-2.5 text-sm font-bold text-fq-700 shadow md:mt-0">立即咨询</a>
+      </section>
+    </main>
+  </body>
+</html>
+`;
+}
+
+async function handleConsultationArticlePage(req, res, url, id) {
+  const item = findPublishedConsultationArticle(id);
+  if (!item) {
+    sendText(res, 404, "Not Found");
+    return;
+  }
+  const html = renderConsultationArticlePage(item, await readConsultationArticleBody(id), {
+    consultUrl: buildArticleConsultUrl(url, id),
+    // 页面会被公共缓存，站内封面只按 SITE_URL 补全，不用请求的 Host
+    imageUrl: item.image?.startsWith("/") ? (SITE_URL ? `${SITE_URL}${item.image}` : "") : item.image || "",
+  });
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "public, max-age=300",
+  });
+  res.end(req.method === "HEAD" ? undefined : html);
+}
+
+function articlePublicUrl(siteUrl, item) {
+  return item.detailUrl ? `${siteUrl}${item.detailUrl}` : item.link;
+}
+
+function articleUpdatedAt(item) {
+  return (
+    item.publishedAt ||
+    consultationArticlesCache.bodies[item.id]?.fetchedAt ||
+    consultationArticlesCache.updatedAt ||
+    new Date(0).toISOString()
+  );
+}
+
+function buildRssFeed(siteUrl) {
+  const items = consultationArticlesCache.items.slice(0, SITE_FEED_MAX_ITEMS);
+  const lastBuild = consultationArticlesCache.updatedAt || new Date().toISOString();
+  const entries = items.map((item) => {
+    const link = escapeXml(articlePublicUrl(siteUrl, item));
+    return [
+      "    <item>",
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${link}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(`fqgw-article-${item.id}`)}</guid>`,
+      item.summary ? `      <description>${escapeXml(item.summary)}</description>` : "",
+      `      <category>${escapeXml(item.category)}</category>`,
+      item.publishedAt ? `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>` : "",
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    "    <title>蜂桥官网 · 产品资讯</title>",
+    `    <link>${escapeXml(`${siteUrl}/consultation.html`)}</link>`,
+    "    <description>蜂桥产品动态、使用技巧与行业洞察</description>",
+    "    <language>zh-CN</language>",
+    `    <lastBuildDate>${new Date(lastBuild).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(`${siteUrl}/feed.xml`)}" rel="self" type="application/rss+xml" />`,
+    ...entries,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function buildAtomFeed(siteUrl) {
+  const items = consultationArticlesCache.items.slice(0, SITE_FEED_MAX_ITEMS);
+  const updated = consultationArticlesCache.updatedAt || new Date().toISOString();
+  const entries = items.map((item) =>
+    [
+      "  <entry>",
+      `    <id>${escapeXml(`urn:fqgw:article:${item.id}`)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(articlePublicUrl(siteUrl, item))}" />`,
+      `    <updated>${new Date(articleUpdatedAt(item)).toISOString()}</updated>`,
+      item.publishedAt ? `    <published>${new Date(item.publishedAt).toISOString()}</published>` : "",
+      `    <author><name>${escapeXml(item.sourceName)}</name></author>`,
+      `    <category term="${escapeXml(item.category)}" />`,
+      item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : "",
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-CN">',
+    `  <id>${escapeXml(`${siteUrl}/atom.xml`)}</id>`,
+    "  <title>蜂桥官网 · 产品资讯</title>",
+    "  <subtitle>蜂桥产品动态、使用技巧与行业洞察</subtitle>",
+    `  <link rel="self" href="${escapeXml(`${siteUrl}/atom.xml`)}" />`,
+    `  <link rel="alternate" href="${escapeXml(`${siteUrl}/consultation.html`)}" />`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+async function buildSitemap(siteUrl) {
+  const urls = [];
+  for (const page of SITEMAP_STATIC_PAGES) {
+    let lastmod = "";
+    try {
+      lastmod = (await fs.stat(path.join(WEB_ROOT, page.file))).mtime.toISOString();
+    } catch {
+      continue;
+    }
+    urls.push({ loc: `${siteUrl}${page.path}`, lastmod, changefreq: page.changefreq, priority: page.priority });
+  }
+  for (const item of consultationArticlesCache.items) {
+    if (!item.detailUrl) continue;
+    urls.push({
+      loc: `${siteUrl}${item.detailUrl}`,
+      lastmod: new Date(articleUpdatedAt(item)).toISOString(),
+      changefreq: "monthly",
+      priority: "0.5",
+    });
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map((entry) =>
+      [
+        "  <url>",
+        `    <loc>${escapeXml(entry.loc)}</loc>`,
+        `    <lastmod>${entry.lastmod}</lastmod>`,
+        `    <changefreq>${entry.changefreq}</changefreq>`,
+        `    <priority>${entry.priority}</priority>`,
+        "  </url>",
+      ].join("\n"),
+    ),
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+function buildRobotsTxt(siteUrl) {
+  const lines = ["User-agent: *", "Allow: /", "Allow: /api/consultation/image", "Disallow: /api/", ""];
+  if (siteUrl) lines.push(`Sitemap: ${siteUrl}/sitemap.xml`, "");
+  return lines.join("\n");
+}
+
+function sendGeneratedDocument(req, res, contentType, body, lastModified = "") {
+  const etag = `"${sha256Hex(body).slice(0, 32)}"`;
+  const headers = {
+    "Cache-Control": `public, max-age=${SITE_FEED_CACHE_SECONDS}`,
+    ETag: etag,
+  };
+  if (lastModified) headers["Last-Modified"] = new Date(lastModified).toUTCString();
+  if (matchesIfNoneMatch(req, etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, {
+    ...headers,
+    "Content-Type": contentType,
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+async function handleSiteDocument(req, res, url) {
+  if (url.pathname === "/robots.txt") {
+    sendGeneratedDocument(req, res, "text/plain; charset=utf-8", buildRobotsTxt(SITE_URL));
+  } else if (!SITE_URL) {
+    sendText(res, 404, "Not Found");
+  } else if (url.pathname === "/feed.xml") {
+    sendGeneratedDocument(
+      req,
+      res,
+      "application/rss+xml; charset=utf-8",
+      buildRssFeed(SITE_URL),
+      consultationArticlesCache.updatedAt,
+    );
+  } else if (url.pathname === "/atom.xml") {
+    sendGeneratedDocument(
+      req,
+      res,
+      "application/atom+xml; charset=utf-8",
+      buildAtomFeed(SITE_URL),
+      consultationArticlesCache.updatedAt,
+    );
+  } else {
+    sendGeneratedDocument(req, res, "application/xml; charset=utf-8", await buildSitemap(SITE_URL));
+  }
+}
+
+async function handleConsultationRefresh(req, res) {
+  if (getConsultationSourceLinks().length === 0) {
+    sendJson(res, 409, { ok: false, message: "CONSULTATION_ARTICLE_LINKS 未配置" });
+    return;
+  }
+  try {
+    await syncConsultationArticles({ force: true });
+  } catch (error) {
+    console.error("consultation_article_sync_failed", error);
+    sendJson(res, 500, { ok: false, message: "资讯同步失败" });
+    return;
+  }
+  // 手动刷新后重新计时，避免紧接着又跑一次定时同步
+  scheduleConsultationSync();
+  sendJson(res, 200, { ok: true, count: consultationArticlesCache.items.length, ...getConsultationArticlesMeta() });
+}
+
+function isKnownConsultationLink(link) {
+  return (
+    getConsultationSourceLinks().includes(link) ||
+    consultationArticlesCache.fetched.some((item) => item.link === link)
+  );
+}
+
+function getConsultationAdminView() {
+  const configured = new Set(getConfiguredConsultationLinks());
+  const configuredOrigin = getConsultationSourceRows().length > 0 ? "feishu" : "env";
+  const tableEdits = new Map(getConsultationSourceRows().map((row) => [row.link, row.edit]));
+  const removed = new Set(consultationEdits.removed);
+  const statusByUrl = new Map(getConsultationSourceStatus().map((status) => [status.url, status]));
+  const published = new Set(consultationArticlesCache.items.map((item) => item.link));
+  return {
+    sources: [...new Set([...configured, ...consultationEdits.sources])].map((url) => ({
+      url,
+      origin: configured.has(url) ? configuredOrigin : "admin",
+      removed: removed.has(url),
+      status: statusByUrl.get(url) || null,
+    })),
+    items: consultationArticlesCache.fetched.map((item) => ({
+      ...item,
+      edit: consultationEdits.articles[item.link] || {},
+      tableEdit: tableEdits.get(item.link) || {},
+      removed: removed.has(item.link),
+      published: published.has(item.link),
+    })),
+    order: consultationEdits.order,
+    updatedAt: consultationEdits.updatedAt,
+    sourceTable: getConsultationSourceTableStatus(),
+  };
+}
+
+// 字段为 null 或空字符串表示清除覆盖，未出现的字段保持不变
+function readConsultationEditPatch(body) {
+  const patch = {};
+  for (const [field, maxLength] of Object.entries(CONSULTATION_EDIT_FIELDS)) {
+    if (!(field in body)) continue;
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { error: `${field} 必须是字符串` };
+    }
+    const value = normalizeText(body[field], maxLength);
+    if (field === "image" && value && !isLikelyUrl(value)) {
+      return { error: "image 必须是 http(s) 链接" };
+    }
+    patch[field] = value;
+  }
+  for (const flag of ["pinned", "hidden"]) {
+    if (!(flag in body)) continue;
+    if (typeof body[flag] !== "boolean") return { error: `${flag} 必须是 true 或 false` };
+    patch[flag] = body[flag];
+  }
+  return { patch };
+}
+
+function applyConsultationEditPatch(link, patch) {
+  const edit = normalizeConsultationEdit({ ...consultationEdits.articles[link], ...patch });
+  if (Object.keys(edit).length > 0) consultationEdits.articles[link] = edit;
+  else delete consultationEdits.articles[link];
+}
+
+async function saveConsultationEdits() {
+  await persistConsultationEdits();
+  publishConsultationArticles();
+  await persistConsultationArticleCache();
+}
+
+async function handleConsultationArticleList(req, res) {
+  sendJson(res, 200, { ok: true, ...getConsultationAdminView() });
+}
+
+async function handleConsultationArticleAdd(req, res) {
+  const body = await readJsonBody(req);
+  const link = canonicalizeConsultationLink(body.link);
+  if (!isLikelyUrl(link)) {
+    sendJson(res, 400, { ok: false, message: "link 必须是 http(s) 链接" });
+    return;
+  }
+  const { patch, error } = readConsultationEditPatch(body);
+  if (error) {
+    sendJson(res, 400, { ok: false, message: error });
+    return;
+  }
+  const configured = getConfiguredConsultationLinks();
+  if (!configured.includes(link) && !consultationEdits.sources.includes(link)) {
+    if (getConsultationSourceLinks().length >= CONSULTATION_MAX_SOURCES) {
+      sendJson(res, 409, { ok: false, message: `来源最多 ${CONSULTATION_MAX_SOURCES} 个` });
+      return;
+    }
+    consultationEdits.sources.push(link);
+  }
+  consultationEdits.removed = consultationEdits.removed.filter((item) => item !== link);
+  applyConsultationEditPatch(link, patch);
+  await saveConsultationEdits();
+  // 新来源立即拉取一次；已有同步在跑时等它结束再跑，保证包含新来源
+  try {
+    await consultationSync.running?.catch(() => {});
+    await syncConsultationArticles();
+  } catch (syncError) {
+    console.error("consultation_article_sync_failed", syncError);
+  }
+  if (!consultationSync.timer) scheduleConsultationSync();
+  sendJson(res, 201, { ok: true, ...getConsultationAdminView() });
+}
+
+async function handleConsultationArticleUpdate(req, res) {
+  const body = await readJsonBody(req);
+  const link = canonicalizeConsultationLink(body.link);
+  if (!isLikelyUrl(link)) {
+    sendJson(res, 400, { ok: false, message: "link 必须是 http(s) 链接" });
+    return;
+  }
+  if (!isKnownConsultationLink(link)) {
+    sendJson(res, 404, { ok: false, message: "未找到该文章" });
+    return;
+  }
+  const { patch, error } = readConsultationEditPatch(body);
+  if (error) {
+    sendJson(res, 400, { ok: false, message: error });
+    return;
+  }
+  applyConsultationEditPatch(link, patch);
+  await saveConsultationEdits();
+  sendJson(res, 200, { ok: true, ...getConsultationAdminView() });
+}
+
+// 删除来源会停止拉取并移除它带来的文章；删除订阅源里的单篇文章只影响这一篇
+async function handleConsultationArticleRemove(req, res, url) {
+  const link = canonicalizeConsultationLink(url.searchParams.get("link") || "");
+  if (!isLikelyUrl(link)) {
+    sendJson(res, 400, { ok: false, message: "link 必须是 http(s) 链接" });
+    return;
+  }
+  if (!isKnownConsultationLink(link)) {
+    sendJson(res, 404, { ok: false, message: "未找到该文章或来源" });
+    return;
+  }
+  consultationEdits.sources = consultationEdits.sources.filter((item) => item !== link);
+  consultationEdits.order = consultationEdits.order.filter((item) => item !== link);
+  if (!consultationEdits.removed.includes(link)) consultationEdits.removed.push(link);
+  delete consultationEdits.articles[link];
+  const status = consultationArticlesCache.sources.find((item) => item.url === link);
+  if (status) {
+    const dropped = new Set(status.links);
+    consultationArticlesCache.fetched = consultationArticlesCache.fetched.filter((item) => !dropped.has(item.link));
+    consultationArticlesCache.sources = consultationArticlesCache.sources.filter((item) => item !== status);
+  }
+  await saveConsultationEdits();
+  sendJson(res, 200, { ok: true, ...getConsultationAdminView() });
+}
+
+async function handleConsultationArticleOrder(req, res) {
+  const body = await readJsonBody(req);
+  if (!Array.isArray(body.links)) {
+    sendJson(res, 400, { ok: false, message: "links 必须是链接数组" });
+    return;
+  }
+  consultationEdits.order = normalizeConsultationLinkList(body.links, CONSULTATION_MAX_ORDER);
+  await saveConsultationEdits();
+  sendJson(res, 200, { ok: true, ...getConsultationAdminView() });
+}
+
+function isProxiedImageHost(rawUrl) {
+  try {
+    const parsed = new URL(rawUrl);
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return false;
+    const host = parsed.hostname.toLowerCase();
+    return CONSULTATION_IMAGE_HOSTS.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+  } catch {
+    return false;
+  }
+}
+
+function proxiedImageUrl(rawUrl) {
+  if (!rawUrl || !isProxiedImageHost(rawUrl)) return rawUrl;
+  return `/api/consultation/image?url=${encodeURIComponent(rawUrl)}`;
+}
+
+function getReferencedConsultationImages() {
+  const images = new Set(consultationArticlesCache.fetched.flatMap((item) => [item.image, item.avatar]));
+  for (const edit of getConsultationArticleEdits().values()) {
+    if (edit.image) images.add(edit.image);
+  }
+  for (const body of Object.values(consultationArticlesCache.bodies)) {
+    for (const image of body.images) images.add(image);
+  }
+  images.delete("");
+  images.delete(undefined);
+  return images;
+}
+
+// 按文件头识别图片格式，不信任上游返回的 Content-Type
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length >= 8 && buffer.subarray(0, 8).toString("hex") === "89504e470d0a1a0a") return "image/png";
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString("latin1"))) return "image/gif";
+  if (
+    buffer.length >= 12 &&
+    buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+    buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return "";
+}
+
+function consultationImageKey(rawUrl) {
+  return sha256Hex(`image:${rawUrl}`);
+}
+
+function consultationImagePaths(rawUrl) {
+  const base = path.join(CONSULTATION_IMAGE_DIR, consultationImageKey(rawUrl));
+  return { dataFile: `${base}.bin`, metaFile: `${base}.json` };
+}
+
+async function readCachedConsultationImage(rawUrl) {
+  const { dataFile, metaFile } = consultationImagePaths(rawUrl);
+  try {
+    const meta = JSON.parse(await fs.readFile(metaFile, "utf8"));
+    return { ...meta, body: await fs.readFile(dataFile) };
+  } catch {
+    return null;
+  }
+}
+
+async function downloadConsultationImage(rawUrl) {
+  const signal = AbortSignal.timeout(CONSULTATION_FETCH_TIMEOUT_MS);
+  let currentUrl = rawUrl;
+  let response;
+  // 手动跟随跳转，每一跳都重新校验域名
+  for (let redirects = 0; ; redirects += 1) {
+    if (!isProxiedImageHost(currentUrl)) {
+      throw new Error("image_host_not_allowed");
+    }
+    response = await fetch(currentUrl, {
+      headers: {
+        Accept: "image/webp,image/png,image/jpeg,image/gif;q=0.9,*/*;q=0.5",
+        "User-Agent": "FQGW1-ConsultationCard/1.0",
+      },
+      redirect: "manual",
+      signal,
+    });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    await response.body?.cancel();
+    if (redirects >= CONSULTATION_IMAGE_MAX_REDIRECTS) {
+      throw new Error("image_too_many_redirects");
+    }
+    currentUrl = new URL(location, currentUrl).href;
+  }
+  if (!response.ok) {
+    throw new Error(`http_${response.status}`);
+  }
+  const declaredType = String(response.headers.get("content-type") || "").toLowerCase();
+  if (declaredType && !declaredType.startsWith("image/")) {
+    throw new Error("image_invalid_type");
+  }
+  if (Number(response.headers.get("content-length") || 0) > CONSULTATION_IMAGE_MAX_BYTES) {
+    throw new Error("image_too_large");
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > CONSULTATION_IMAGE_MAX_BYTES) {
+      throw new Error("image_too_large");
+    }
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  const contentType = sniffImageType(body);
+  if (!contentType) {
+    throw new Error("image_invalid_type");
+  }
+  return {
+    contentType,
+    etag: `"${createHash("sha256").update(body).digest("hex").slice(0, 32)}"`,
+    size: body.length,
+    fetchedAt: new Date().toISOString(),
+    body,
+  };
+}
+
+async function downloadAndStoreConsultationImage(rawUrl) {
+  let image;
+  try {
+    image = await downloadConsultationImage(rawUrl);
+  } catch (error) {
+    const message = error?.name === "TimeoutError" ? "fetch_timeout" : error?.message || "fetch_failed";
+    consultationImages.failures.set(rawUrl, {
+      message,
+      expiresAtMs: Date.now() + CONSULTATION_IMAGE_FAILURE_TTL_MS,
+    });
+    throw new Error(message);
+  }
+  consultationImages.failures.delete(rawUrl);
+  const { dataFile, metaFile } = consultationImagePaths(rawUrl);
+  const { body, ...meta } = image;
+  try {
+    await fs.mkdir(CONSULTATION_IMAGE_DIR, { recursive: true });
+    // 先写图片再写元数据，读取时以元数据文件存在为准
+    await fs.writeFile(dataFile, body);
+    await fs.writeFile(metaFile, JSON.stringify({ ...meta, url: rawUrl }), "utf8");
+  } catch (error) {
+    console.error("consultation_image_cache_write_failed", error);
+  }
+  return image;
+}
+
+async function loadConsultationImage(rawUrl) {
+  const cached = await readCachedConsultationImage(rawUrl);
+  if (cached) return cached;
+  const failure = consultationImages.failures.get(rawUrl);
+  if (failure && failure.expiresAtMs > Date.now()) {
+    throw new Error(failure.message);
+  }
+  let pending = consultationImages.inflight.get(rawUrl);
+  if (!pending) {
+    pending = downloadAndStoreConsultationImage(rawUrl).finally(() => {
+      consultationImages.inflight.delete(rawUrl);
+    });
+    consultationImages.inflight.set(rawUrl, pending);
+  }
+  return pending;
+}
+
+function consultationBodyFile(id) {
+  return path.join(CONSULTATION_BODY_DIR, `${id}.html`);
+}
+
+async function storeConsultationArticleBody(link, content, fetchedAt) {
+  const id = consultationArticleId(link);
+  try {
+    await fs.mkdir(CONSULTATION_BODY_DIR, { recursive: true });
+    await fs.writeFile(consultationBodyFile(id), content.html, "utf8");
+    consultationArticlesCache.bodies[id] = { images: content.images, fetchedAt };
+  } catch (error) {
+    console.error("consultation_body_write_failed", error);
+  }
+}
+
+async function readConsultationArticleBody(id) {
+  if (!consultationArticlesCache.bodies[id]) return "";
+  try {
+    return await fs.readFile(consultationBodyFile(id), "utf8");
+  } catch {
+    return "";
+  }
+}
+
+async function pruneConsultationBodies() {
+  const activeIds = new Set(consultationArticlesCache.fetched.map((item) => consultationArticleId(item.link)));
+  for (const id of Object.keys(consultationArticlesCache.bodies)) {
+    if (activeIds.has(id)) continue;
+    delete consultationArticlesCache.bodies[id];
+    await fs.rm(consultationBodyFile(id), { force: true });
+  }
+}
+
+async function pruneConsultationImageCache() {
+  let names;
+  try {
+    names = await fs.readdir(CONSULTATION_IMAGE_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+  const referenced = new Set([...getReferencedConsultationImages()].map((image) => consultationImageKey(image)));
+  for (const name of names) {
+    const key = name.replace(/\.(bin|json)$/, "");
+    if (referenced.has(key)) continue;
+    await fs.rm(path.join(CONSULTATION_IMAGE_DIR, name), { force: true });
+  }
+  for (const [rawUrl, failure] of consultationImages.failures) {
+    if (failure.expiresAtMs <= Date.now()) consultationImages.failures.delete(rawUrl);
+  }
+}
+
+async function handleConsultationImage(req, res, url) {
+  const rawUrl = normalizeText(url.searchParams.get("url") || "", 600);
+  if (!isProxiedImageHost(rawUrl) || !getReferencedConsultationImages().has(rawUrl)) {
+    sendText(res, 404, "Not Found");
+    return;
+  }
+  let image;
+  try {
+    image = await loadConsultationImage(rawUrl);
+  } catch {
+    sendText(res, 502, "Bad Gateway");
+    return;
+  }
+  const headers = {
+    "Cache-Control": `public, max-age=${CONSULTATION_IMAGE_MAX_AGE_SECONDS}, immutable`,
+    ETag: image.etag,
+  };
+  if (matchesIfNoneMatch(req, image.etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, {
+    ...headers,
+    "Content-Type": image.contentType,
+    "Content-Length": image.body.length,
+    "X-Content-Type-Options": "nosniff",
+  });
+  res.end(req.method === "HEAD" ? undefined : image.body);
+}
+
+async function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
     let size = 0;
     const chunks = [];
     req.on("data", (chunk) => {
@@ -701,163 +2824,2337 @@ async function readJsonBody(req) {
         req.destroy();
         return;
       }
-      chunks.push(chunk);
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        const raw = Buffer.concat(chunks).toString("utf8");
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        reject(new Error("invalid_json"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function getFeishuTenantToken() {
+  const now = Date.now();
+  if (feishuTokenCache.token && now < feishuTokenCache.expiresAtMs) {
+    return feishuTokenCache.token;
+  }
+
+  const response = await fetch("https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      app_id: FEISHU_APP_ID,
+      app_secret: FEISHU_APP_SECRET,
+    }),
+  });
+
+  const data = await response.json();
+  if (!response.ok || data.code !== 0 || !data.tenant_access_token) {
+    throw new Error(`feishu_auth_failed:${data.msg || "unknown"}`);
+  }
+
+  const expiresInSeconds = Number(data.expire || 7200);
+  feishuTokenCache.token = data.tenant_access_token;
+  feishuTokenCache.expiresAtMs = now + Math.max(60, expiresInSeconds - 60) * 1000;
+  return feishuTokenCache.token;
+}
+
+async function createFeishuRecord(tableId, fields, clientToken = "") {
+  const token = await getFeishuTenantToken();
+  const url = new URL(
+    `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/records`,
+  );
+  // client_token 让飞书按提交ID幂等写入，重试投递不会产生重复行
+  if (clientToken) url.searchParams.set("client_token", clientToken);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ fields }),
+  });
+
+  const data = await response.json();
+  if (!response.ok || data.code !== 0) {
+    throw new Error(`feishu_record_failed:${data.msg || "unknown"}`);
+  }
+  return { tableId, recordId: data.data?.record?.record_id || "" };
+}
+
+async function searchFeishuRecords(tableId, { conditions = [], pageToken = "", pageSize = 100 } = {}) {
+  const token = await getFeishuTenantToken();
+  const url = new URL(
+    `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/records/search`,
+  );
+  url.searchParams.set("page_size", String(pageSize));
+  if (pageToken) url.searchParams.set("page_token", pageToken);
+
+  const body = { sort: [{ field_name: "提交时间", desc: true }] };
+  if (conditions.length > 0) {
+    body.filter = { conjunction: "and", conditions };
+  }
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok || data.code !== 0) {
+    throw new Error(`feishu_search_failed:${data.msg || "unknown"}`);
+  }
+  return {
+    items: Array.isArray(data.data?.items) ? data.data.items : [],
+    hasMore: Boolean(data.data?.has_more),
+    pageToken: data.data?.page_token || "",
+  };
+}
+
+// 按表格顺序列出记录，不排序也不过滤；用于线索表以外的配置类表格
+async function listFeishuRecords(appToken, tableId, { pageToken = "", pageSize = 500 } = {}) {
+  const token = await getFeishuTenantToken();
+  const url = new URL(`https://open.feishu.cn/open-apis/bitable/v1/apps/${appToken}/tables/${tableId}/records`);
+  url.searchParams.set("page_size", String(pageSize));
+  if (pageToken) url.searchParams.set("page_token", pageToken);
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(CONSULTATION_FETCH_TIMEOUT_MS),
+  });
+
+  const data = await response.json();
+  if (!response.ok || data.code !== 0) {
+    throw new Error(`feishu_list_failed:${data.msg || "unknown"}`);
+  }
+  return {
+    items: Array.isArray(data.data?.items) ? data.data.items : [],
+    hasMore: Boolean(data.data?.has_more),
+    pageToken: data.data?.page_token || "",
+  };
+}
+
+function buildDedupeTagFields(record) {
+  if (LEAD_DEDUPE_POLICY !== "tag") return {};
+  return { [LEAD_DEDUPE_TAG_FIELD]: record.repeatOf ? "是" : "否" };
+}
+
+function readAttributionValue(attribution, attributionPath) {
+  return attributionPath.split(".").reduce((value, key) => (value ? value[key] : undefined), attribution) || "";
+}
+
+function buildAttributionFields(record) {
+  const fields = {};
+  for (const [attributionPath, column] of Object.entries(LEAD_ATTRIBUTION_FEISHU_FIELDS)) {
+    const value = readAttributionValue(record.attribution, attributionPath);
+    if (!attributionPath.endsWith(".at")) {
+      fields[column] = value;
+      continue;
+    }
+    // 日期列不接受空字符串，没有触点时间时不写该列
+    const atMs = Date.parse(value);
+    if (Number.isFinite(atMs)) fields[column] = atMs;
+  }
+  return fields;
+}
+
+// 启动时字段校验失败或还没完成时按不存在处理
+function hasFeishuColumn(tableId, name) {
+  return feishuSchemaStatus.columns.get(tableId)?.has(name) || false;
+}
+
+// 未在 FEISHU_ATTRIBUTION_FIELDS 中映射 cta 时，表里有“来源”列就写入口标识，供管理统计按来源汇总
+function buildSourceFields(tableId, record) {
+  if (LEAD_ATTRIBUTION_FEISHU_FIELDS.cta || !hasFeishuColumn(tableId, LEAD_SOURCE_FEISHU_FIELD)) return {};
+  return { [LEAD_SOURCE_FEISHU_FIELD]: record.attribution?.cta || record.source || "" };
+}
+
+// 优先级总会计算：启用分配时必写，未启用时表里有该列也照常写入
+function buildRoutingFields(tableId, record) {
+  const fields = {};
+  if (LEAD_ROUTING || hasFeishuColumn(tableId, LEAD_PRIORITY_FEISHU_FIELD)) {
+    fields[LEAD_PRIORITY_FEISHU_FIELD] = record.priority || 0;
+  }
+  // 人员字段按 open_id 写入；没有分配到负责人时不写该列
+  if (LEAD_ROUTING && record.owner?.openId) fields[LEAD_OWNER_FEISHU_FIELD] = [{ id: record.owner.openId }];
+  return fields;
+}
+
+// 合并时只更新最近一次触点，首次触点和入口以原线索为准
+function buildMergeAttributionFields(record) {
+  if (!record.attribution) return {};
+  const fields = buildAttributionFields(record);
+  for (const [attributionPath, column] of Object.entries(LEAD_ATTRIBUTION_FEISHU_FIELDS)) {
+    if (!attributionPath.startsWith("lastTouch.")) delete fields[column];
+  }
+  return fields;
+}
+
+function buildConsentFields(record) {
+  if (!FEISHU_CONSENT_FIELD) return {};
+  const consent = record.consent;
+  return {
+    [FEISHU_CONSENT_FIELD]: consent
+      ? `版本 ${consent.policyVersion}，${formatShanghaiDateTime(consent.agreedAt)} 同意`
+      : "",
+  };
+}
+
+function buildLeadFeishuFields(form, record) {
+  const submittedAtMs = Date.parse(record.createdAt);
+  const fields = { 提交ID: record.id, 线索类型: form.leadType };
+  for (const field of form.fields) {
+    if (!field.column) continue;
+    const value = record[field.name];
+    fields[field.column] = Array.isArray(value) ? value.join("、") : value || "";
+  }
+  return {
+    ...buildSourceFields(form.tableId, record),
+    ...fields,
+    提交时间: Number.isFinite(submittedAtMs) ? submittedAtMs : Date.now(),
+    ...buildDedupeTagFields(record),
+    ...buildAttributionFields(record),
+    ...buildRoutingFields(form.tableId, record),
+    ...buildConsentFields(record),
+  };
+}
+
+async function syncLeadToFeishu(kind, record) {
+  const form = LEAD_FORMS[kind];
+  if (!form?.tableId) {
+    throw new Error(`feishu_record_failed:missing_table_${kind}`);
+  }
+  return createFeishuRecord(form.tableId, buildLeadFeishuFields(form, record), record.id);
+}
+
+async function updateFeishuRecord(tableId, recordId, fields) {
+  const token = await getFeishuTenantToken();
+  const url = `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/records/${recordId}`;
+  const response = await fetch(url, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ fields }),
+  });
+  const data = await response.json();
+  if (!response.ok || data.code !== 0) {
+    throw new Error(`feishu_record_failed:${data.msg || "unknown"}`);
+  }
+  return { tableId, recordId };
+}
+
+async function findFeishuRecordByLeadId(tableId, leadId) {
+  const result = await searchFeishuRecords(tableId, {
+    conditions: [{ field_name: "提交ID", operator: "is", value: [leadId] }],
+    pageSize: 1,
+  });
+  return result.items[0] || null;
+}
+
+async function mergeLeadIntoFeishu(record) {
+  // 早期的合并任务只针对立即咨询的意向产品
+  const form = LEAD_FORMS[record.form || "consultation"];
+  const values = record.values || { intentionProducts: record.intentionProducts };
+  if (!form?.tableId) {
+    throw new Error("feishu_record_failed:merge_form_not_found");
+  }
+  // 原线索可能还在 outbox 中未写入，找不到时抛错交给 outbox 重试
+  const existing = await findFeishuRecordByLeadId(form.tableId, record.targetId);
+  if (!existing) {
+    throw new Error("feishu_record_failed:merge_target_not_found");
+  }
+  const fields = {};
+  for (const field of form.fields) {
+    if (field.type !== "multiEnum" || !field.column || !Array.isArray(values[field.name])) continue;
+    fields[field.column] = normalizeProductList([
+      ...splitProductText(existing.fields?.[field.column]),
+      ...values[field.name],
+    ]).join("、");
+  }
+  return updateFeishuRecord(form.tableId, existing.record_id, {
+    ...fields,
+    ...buildMergeAttributionFields(record),
+    ...(record.consent ? buildConsentFields(record) : {}),
+  });
+}
+
+async function findRecentFeishuLeadByPhone(kind, phone) {
+  const result = await searchFeishuRecords(LEAD_FORMS[kind].tableId, {
+    conditions: buildLeadSearchConditions({
+      type: kind,
+      phone,
+      fromMs: Date.now() - LEAD_DEDUPE_FEISHU_WINDOW_MS,
+    }),
+    pageSize: 1,
+  });
+  return result.items[0] ? mapFeishuLeadRecord(result.items[0]) : null;
+}
+
+// 飞书字段类型：1 多行文本，2 数字，5 日期，11 人员，13 电话号码
+const FEISHU_FIELD_TYPE_NAMES = { 1: "文本", 2: "数字", 5: "日期", 11: "人员", 13: "电话号码" };
+const FEISHU_LEAD_FIELD_TYPES = {
+  提交时间: { type: 5, accepts: [5, 2] },
+  手机号: { type: 1, accepts: [1, 13] },
+  [LEAD_OWNER_FEISHU_FIELD]: { type: 11, accepts: [11] },
+  [LEAD_PRIORITY_FEISHU_FIELD]: { type: 2, accepts: [2] },
+};
+
+function expectedFeishuLeadFields(tableId) {
+  const sampleRecord = {
+    id: "",
+    repeatOf: "",
+    attribution: { firstTouch: { at: new Date().toISOString() }, lastTouch: { at: new Date().toISOString() } },
+    owner: { openId: "sample" },
+    createdAt: new Date().toISOString(),
+  };
+  const fieldTypes = { ...FEISHU_LEAD_FIELD_TYPES };
+  for (const [attributionPath, column] of Object.entries(LEAD_ATTRIBUTION_FEISHU_FIELDS)) {
+    if (attributionPath.endsWith(".at")) fieldTypes[column] = FEISHU_LEAD_FIELD_TYPES.提交时间;
+  }
+  const names = new Set();
+  for (const form of Object.values(LEAD_FORMS)) {
+    if (form.tableId !== tableId) continue;
+    for (const field of form.fields) {
+      if (field.type === "phone" && field.column) fieldTypes[field.column] = FEISHU_LEAD_FIELD_TYPES.手机号;
+    }
+    Object.keys(buildLeadFeishuFields(form, sampleRecord)).forEach((name) => names.add(name));
+  }
+  return [...names].map((name) => ({
+    name,
+    type: fieldTypes[name]?.type || 1,
+    accepts: fieldTypes[name]?.accepts || [1],
+  }));
+}
+
+async function listFeishuFields(tableId) {
+  const token = await getFeishuTenantToken();
+  const fields = [];
+  let pageToken = "";
+  do {
+    const url = new URL(
+      `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/fields`,
+    );
+    url.searchParams.set("page_size", "100");
+    if (pageToken) url.searchParams.set("page_token", pageToken);
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+    const data = await response.json();
+    if (!response.ok || data.code !== 0) {
+      throw new Error(`feishu_field_failed:${data.msg || "unknown"}`);
+    }
+    fields.push(...(Array.isArray(data.data?.items) ? data.data.items : []));
+    pageToken = data.data?.has_more ? data.data.page_token || "" : "";
+  } while (pageToken);
+  return fields;
+}
+
+async function createFeishuField(tableId, name, type) {
+  const token = await getFeishuTenantToken();
+  const url = `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/fields`;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ field_name: name, type }),
+  });
+  const data = await response.json();
+  if (!response.ok || data.code !== 0) {
+    throw new Error(`feishu_field_failed:${data.msg || "unknown"}`);
+  }
+}
+
+async function checkFeishuTableSchema(tableId) {
+  const actualFields = await listFeishuFields(tableId);
+  const actualByName = new Map(actualFields.map((field) => [field.field_name, field]));
+  const missing = [];
+  const created = [];
+  const typeMismatch = [];
+  for (const expected of expectedFeishuLeadFields(tableId)) {
+    const actual = actualByName.get(expected.name);
+    if (!actual) {
+      if (FEISHU_SCHEMA_AUTO_CREATE) {
+        await createFeishuField(tableId, expected.name, expected.type);
+        created.push(expected.name);
+      } else {
+        missing.push(expected.name);
+      }
+      continue;
+    }
+    if (!expected.accepts.includes(actual.type)) {
+      typeMismatch.push({
+        field: expected.name,
+        expected: FEISHU_FIELD_TYPE_NAMES[expected.type] || String(expected.type),
+        actual: FEISHU_FIELD_TYPE_NAMES[actual.type] || String(actual.type),
+      });
+    }
+  }
+  feishuSchemaStatus.columns.set(tableId, new Set([...actualByName.keys(), ...created]));
+  return { tableId, ok: missing.length === 0 && typeMismatch.length === 0, missing, created, typeMismatch };
+}
+
+async function checkFeishuSchema() {
+  if (!hasFeishuConfig()) return;
+  const tableIds = resolveLeadTableIds("");
+  try {
+    feishuSchemaStatus.tables = [];
+    for (const tableId of tableIds) {
+      feishuSchemaStatus.tables.push(await checkFeishuTableSchema(tableId));
+    }
+    feishuSchemaStatus.error = "";
+    for (const table of feishuSchemaStatus.tables) {
+      if (table.created.length > 0) console.log("feishu_fields_created", table.tableId, table.created.join(","));
+      if (!table.ok) console.error("feishu_schema_mismatch", JSON.stringify(table));
+    }
+  } catch (error) {
+    feishuSchemaStatus.error = mapFeishuErrorMessage(error);
+    console.error("feishu_schema_check_failed", error);
+  } finally {
+    feishuSchemaStatus.checkedAt = new Date().toISOString();
+  }
+}
+
+function getFeishuHealth() {
+  const schemaOk =
+    Boolean(feishuSchemaStatus.checkedAt) &&
+    !feishuSchemaStatus.error &&
+    feishuSchemaStatus.tables.every((table) => table.ok);
+  return {
+    configured: hasFeishuConfig(),
+    schema: {
+      ok: schemaOk,
+      checkedAt: feishuSchemaStatus.checkedAt,
+      autoCreate: FEISHU_SCHEMA_AUTO_CREATE,
+      tables: feishuSchemaStatus.tables,
+      error: feishuSchemaStatus.error,
+    },
+  };
+}
+
+async function appendLeadToFile(kind, record) {
+  await fs.mkdir(path.dirname(LEAD_FILE_SINK_PATH), { recursive: true });
+  await fs.appendFile(LEAD_FILE_SINK_PATH, `${JSON.stringify({ type: kind, ...record })}\n`, "utf8");
+}
+
+async function postLeadToWebhook(kind, record) {
+  const body = JSON.stringify({ id: record.id, type: kind, record });
+  const timestamp = String(Date.now());
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Lead-Id": record.id,
+    "X-Lead-Timestamp": timestamp,
+  };
+  if (LEAD_WEBHOOK_SECRET) {
+    const signature = createHmac("sha256", LEAD_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+    headers["X-Lead-Signature"] = `sha256=${signature}`;
+  }
+  const response = await fetch(LEAD_WEBHOOK_URL, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(LEAD_WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`webhook_failed:http_${response.status}`);
+  }
+}
+
+const LEAD_SINKS = {
+  feishu: {
+    isConfigured: hasFeishuConfig,
+    deliver: (kind, record) => (kind === "merge" ? mergeLeadIntoFeishu(record) : syncLeadToFeishu(kind, record)),
+  },
+  file: {
+    isConfigured: () => true,
+    deliver: appendLeadToFile,
+  },
+  webhook: {
+    isConfigured: () => Boolean(LEAD_WEBHOOK_URL),
+    deliver: postLeadToWebhook,
+  },
+};
+const ACTIVE_LEAD_SINKS = resolveLeadSinkNames();
+
+async function deliverLeadToSink(sinkName, kind, record) {
+  const sink = LEAD_SINKS[sinkName];
+  if (!sink || !sink.isConfigured()) {
+    throw new Error(`lead_sink_unavailable:${sinkName}`);
+  }
+  return sink.deliver(kind, record);
+}
+
+function mapLeadSinkErrorMessage(sinkName, error) {
+  if (sinkName === "feishu") return mapFeishuErrorMessage(error);
+  return `${sinkName} 投递失败：${normalizeText(String(error?.message || "unknown"), 200)}`;
+}
+
+function appendLeadOutboxLines(filePath, entries) {
+  const payload = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+  const task = leadOutbox.writeChain.then(async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, payload, "utf8");
+  });
+  // 写入串行化；单次失败不影响后续写入
+  leadOutbox.writeChain = task.catch(() => {});
+  return task;
+}
+
+function applyLeadOutboxEntry(entry) {
+  if (!entry || typeof entry !== "object" || typeof entry.id !== "string") return;
+  if (entry.op === "enqueue" && entry.job && (LEAD_FORMS[entry.job.kind] || entry.job.kind === "merge")) {
+    // 早期记录没有 sinks 字段，均为写飞书
+    const sinks = Array.isArray(entry.job.sinks) ? entry.job.sinks : ["feishu"];
+    leadOutbox.jobs.set(entry.id, { receipts: {}, ...entry.job, sinks });
+    return;
+  }
+  const job = leadOutbox.jobs.get(entry.id);
+  if (!job) return;
+  if (entry.op === "retry") {
+    job.attempts = Number(entry.attempts) || job.attempts;
+    job.nextAttemptAtMs = Number(entry.nextAttemptAtMs) || Date.now();
+    job.lastError = normalizeText(String(entry.lastError || ""), 240);
+    if (Array.isArray(entry.sinks)) job.sinks = entry.sinks;
+    if (entry.receipts && typeof entry.receipts === "object") job.receipts = entry.receipts;
+    return;
+  }
+  if (entry.op === "delivered" || entry.op === "dead") {
+    leadOutbox.jobs.delete(entry.id);
+  }
+}
+
+async function countFileLines(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    return raw.split("\n").filter((line) => line.trim()).length;
+  } catch {
+    return 0;
+  }
+}
+
+async function loadLeadOutbox() {
+  let raw = "";
+  try {
+    raw = await fs.readFile(LEAD_OUTBOX_FILE, "utf8");
+  } catch {
+    // outbox 文件不存在时从空队列开始
+  }
+  const lines = raw.split("\n").filter((line) => line.trim());
+  for (const line of lines) {
+    try {
+      applyLeadOutboxEntry(JSON.parse(line));
+    } catch {
+      // 进程崩溃可能留下半行，跳过即可
+    }
+  }
+  leadOutbox.logLines = lines.length;
+  leadOutbox.deadLetterCount = await countFileLines(LEAD_DEAD_LETTER_FILE);
+}
+
+function ensureLeadOutboxLoaded() {
+  if (!leadOutbox.loading) {
+    leadOutbox.loading = loadLeadOutbox();
+  }
+  return leadOutbox.loading;
+}
+
+async function compactLeadOutbox(force = false) {
+  if (!force && leadOutbox.logLines < LEAD_OUTBOX_COMPACT_THRESHOLD) return;
+  const task = leadOutbox.writeChain.then(async () => {
+    const entries = [...leadOutbox.jobs.values()].map((job) => ({ op: "enqueue", id: job.id, job }));
+    const tempFile = `${LEAD_OUTBOX_FILE}.tmp`;
+    await fs.writeFile(tempFile, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""), "utf8");
+    await fs.rename(tempFile, LEAD_OUTBOX_FILE);
+    leadOutbox.logLines = entries.length;
+  });
+  leadOutbox.writeChain = task.catch(() => {});
+  await task;
+}
+
+async function enqueueLeadDelivery(kind, record) {
+  await ensureLeadOutboxLoaded();
+  const job = {
+    id: record.id,
+    kind,
+    record,
+    sinks: [...ACTIVE_LEAD_SINKS],
+    receipts: {},
+    attempts: 0,
+    enqueuedAtMs: Date.now(),
+    nextAttemptAtMs: Date.now(),
+    lastError: "",
+  };
+  leadOutbox.jobs.set(job.id, job);
+  try {
+    await appendLeadOutboxLines(LEAD_OUTBOX_FILE, [{ op: "enqueue", id: job.id, job }]);
+  } catch (error) {
+    leadOutbox.jobs.delete(job.id);
+    throw error;
+  }
+  leadOutbox.logLines += 1;
+  scheduleLeadOutboxDrain(0);
+  return job;
+}
+
+function leadRetryDelayMs(attempts) {
+  const exponential = LEAD_OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  const jitter = Math.random() * LEAD_OUTBOX_BASE_DELAY_MS;
+  return Math.min(LEAD_OUTBOX_MAX_DELAY_MS, exponential + jitter);
+}
+
+async function deliverLeadJob(job) {
+  const remainingSinks = [];
+  let failure = null;
+  for (const sinkName of job.sinks) {
+    try {
+      job.receipts[sinkName] = (await deliverLeadToSink(sinkName, job.kind, job.record)) || {};
+    } catch (error) {
+      remainingSinks.push(sinkName);
+      failure = failure || { sinkName, error };
+    }
+  }
+
+  if (!failure) {
+    leadOutbox.jobs.delete(job.id);
+    await appendLeadOutboxLines(LEAD_OUTBOX_FILE, [{ op: "delivered", id: job.id, at: new Date().toISOString() }]);
+    leadOutbox.logLines += 1;
+    notifyNewLead(job.kind, job.record, job.receipts).catch((error) => {
+      console.error("lead_notify_failed", job.id, error);
+    });
+    return;
+  }
+
+  // 只重试失败的 sink，已成功的不会重复写入
+  const attempts = job.attempts + 1;
+  const lastError = normalizeText(`${failure.sinkName}:${failure.error?.message || "unknown"}`, 240);
+  job.sinks = remainingSinks;
+  leadOutbox.lastError = mapLeadSinkErrorMessage(failure.sinkName, failure.error);
+  if (attempts >= LEAD_OUTBOX_MAX_ATTEMPTS) {
+    leadOutbox.jobs.delete(job.id);
+    const deadAt = new Date().toISOString();
+    await appendLeadOutboxLines(LEAD_DEAD_LETTER_FILE, [{ ...job, attempts, lastError, deadAt }]);
+    await appendLeadOutboxLines(LEAD_OUTBOX_FILE, [{ op: "dead", id: job.id, at: deadAt }]);
+    leadOutbox.deadLetterCount += 1;
+    leadOutbox.logLines += 1;
+    console.error("lead_delivery_dead_lettered", job.id, lastError);
+    return;
+  }
+  job.attempts = attempts;
+  job.lastError = lastError;
+  job.nextAttemptAtMs = Date.now() + Math.round(leadRetryDelayMs(attempts));
+  await appendLeadOutboxLines(LEAD_OUTBOX_FILE, [
+    {
+      op: "retry",
+      id: job.id,
+      attempts,
+      nextAttemptAtMs: job.nextAttemptAtMs,
+      lastError,
+      sinks: remainingSinks,
+      receipts: job.receipts,
+    },
+  ]);
+  leadOutbox.logLines += 1;
+  console.error("lead_delivery_failed", job.id, lastError);
+}
+
+async function drainLeadOutbox() {
+  if (leadOutbox.draining) return;
+  leadOutbox.draining = true;
+  try {
+    await ensureLeadOutboxLoaded();
+    if (!hasLeadSinkConfig()) return;
+    const now = Date.now();
+    const dueJobs = [...leadOutbox.jobs.values()]
+      .filter((job) => job.nextAttemptAtMs <= now)
+      .sort((a, b) => a.nextAttemptAtMs - b.nextAttemptAtMs);
+    for (const job of dueJobs) {
+      await deliverLeadJob(job);
+    }
+    await compactLeadOutbox();
+  } catch (error) {
+    console.error("lead_outbox_drain_failed", error);
+  } finally {
+    leadOutbox.draining = false;
+    const nextDueAtMs = Math.min(...[...leadOutbox.jobs.values()].map((job) => job.nextAttemptAtMs));
+    if (hasLeadSinkConfig() && Number.isFinite(nextDueAtMs)) {
+      scheduleLeadOutboxDrain(Math.max(LEAD_OUTBOX_MIN_POLL_MS, nextDueAtMs - Date.now()));
+    }
+  }
+}
+
+function scheduleLeadOutboxDrain(delayMs) {
+  const dueAtMs = Date.now() + delayMs;
+  if (leadOutbox.timer && leadOutbox.timerDueAtMs <= dueAtMs) return;
+  if (leadOutbox.timer) clearTimeout(leadOutbox.timer);
+  leadOutbox.timerDueAtMs = dueAtMs;
+  leadOutbox.timer = setTimeout(() => {
+    leadOutbox.timer = null;
+    leadOutbox.timerDueAtMs = 0;
+    drainLeadOutbox();
+  }, delayMs);
+}
+
+function getLeadOutboxStats() {
+  const now = Date.now();
+  const oldestEnqueuedAtMs = Math.min(...[...leadOutbox.jobs.values()].map((job) => job.enqueuedAtMs));
+  return {
+    pending: leadOutbox.jobs.size,
+    oldestPendingAgeMs: Number.isFinite(oldestEnqueuedAtMs) ? now - oldestEnqueuedAtMs : 0,
+    deadLetters: leadOutbox.deadLetterCount,
+    lastError: leadOutbox.lastError,
+  };
+}
+
+function resolveLeadNotifyTargets(kind, record) {
+  const products = record.intentionProducts || [];
+  const matched = LEAD_NOTIFY_ROUTES.filter((route) =>
+    route.products.some((product) => products.includes(product)),
+  );
+  const routes = matched.length > 0 ? matched : [LEAD_NOTIFY_DEFAULT_ROUTE];
+  const targets = new Map();
+  for (const route of routes) {
+    if (route.feishuWebhook) {
+      targets.set(route.feishuWebhook, { type: "feishu", url: route.feishuWebhook, secret: route.feishuSecret });
+    }
+    if (route.wecomWebhook) {
+      targets.set(route.wecomWebhook, { type: "wecom", url: route.wecomWebhook });
+    }
+  }
+  return [...targets.values()];
+}
+
+function buildLeadRecordUrl(receipts) {
+  const receipt = receipts?.feishu;
+  if (!FEISHU_BASE_URL || !receipt?.tableId) return "";
+  const url = new URL(`${FEISHU_BASE_URL}/base/${FEISHU_APP_TOKEN}`);
+  url.searchParams.set("table", receipt.tableId);
+  if (receipt.recordId) url.searchParams.set("record", receipt.recordId);
+  return url.href;
+}
+
+function formatLeadChannel(touch) {
+  if (!touch) return "-";
+  const utm = [touch.utmSource, touch.utmMedium, touch.utmCampaign].filter(Boolean).join(" / ");
+  if (utm) return utm;
+  if (touch.referrer) {
+    try {
+      return new URL(touch.referrer).hostname;
+    } catch {
+      return "-";
+    }
+  }
+  return "直接访问";
+}
+
+function formatLeadFieldValue(field, value) {
+  if (field.type === "phone") return maskPhone(value);
+  return (Array.isArray(value) ? value.join("、") : value) || "-";
+}
+
+function buildLeadNotifyRows(kind, record) {
+  // 第三项标记长内容，飞书卡片中独占一行
+  const fieldRows = LEAD_FORMS[kind].fields
+    .filter((field) => field.notify)
+    .map((field) => [
+      field.label,
+      formatLeadFieldValue(field, record[field.name]),
+      field.type === "multiEnum" || field.type === "textarea",
+    ]);
+  return [
+    ["线索类型", LEAD_TYPE_LABELS[kind]],
+    ...fieldRows,
+    ["来源页面", record.sourcePage || record.source || "-"],
+    ["来源入口", record.attribution?.cta || "-"],
+    ["推广渠道", formatLeadChannel(record.attribution?.lastTouch)],
+    ...(record.owner ? [["负责人", `${record.owner.name}${record.owner.offHours ? "（非工作时间）" : ""}`]] : []),
+    ...(record.priority ? [["优先级", String(record.priority)]] : []),
+    ["提交时间", new Date(record.createdAt).toLocaleString("zh-CN", { timeZone: "Asia/Shanghai" })],
+  ];
+}
+
+function signFeishuBotRequest(secret, timestamp) {
+  // 飞书自定义机器人签名：以 "timestamp\nsecret" 为密钥对空串做 HmacSHA256
+  return createHmac("sha256", `${timestamp}\n${secret}`).update("").digest("base64");
+}
+
+async function postLeadNotifyMessage(url, payload) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(LEAD_WEBHOOK_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+  const code = data.code ?? data.StatusCode ?? data.errcode ?? 0;
+  if (!response.ok || code !== 0) {
+    throw new Error(`lead_notify_failed:${data.msg || data.errmsg || `http_${response.status}`}`);
+  }
+}
+
+async function sendFeishuLeadCard(target, rows, recordUrl) {
+  const elements = [
+    {
+      tag: "div",
+      fields: rows.map(([label, value, wide]) => ({
+        is_short: !wide,
+        text: { tag: "lark_md", content: `**${label}**\n${value}` },
+      })),
+    },
+  ];
+  if (recordUrl) {
+    elements.push({
+      tag: "action",
+      actions: [
+        {
+          tag: "button",
+          text: { tag: "plain_text", content: "查看飞书记录" },
+          type: "primary",
+          url: recordUrl,
+        },
+      ],
+    });
+  }
+  const payload = {
+    msg_type: "interactive",
+    card: {
+      config: { wide_screen_mode: true },
+      header: { template: "orange", title: { tag: "plain_text", content: `新线索：${rows[0][1]}` } },
+      elements,
+    },
+  };
+  if (target.secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    payload.timestamp = timestamp;
+    payload.sign = signFeishuBotRequest(target.secret, timestamp);
+  }
+  await postLeadNotifyMessage(target.url, payload);
+}
+
+async function sendWecomLeadMessage(target, rows, recordUrl) {
+  const lines = [`**新线索：${rows[0][1]}**`, ...rows.slice(1).map(([label, value]) => `> ${label}：${value}`)];
+  if (recordUrl) lines.push(`[查看飞书记录](${recordUrl})`);
+  await postLeadNotifyMessage(target.url, {
+    msgtype: "markdown",
+    markdown: { content: lines.join("\n") },
+  });
+}
+
+async function notifyNewLead(kind, record, receipts) {
+  if (!LEAD_FORMS[kind]) return;
+  const targets = resolveLeadNotifyTargets(kind, record);
+  if (targets.length === 0) return;
+  const rows = buildLeadNotifyRows(kind, record);
+  const recordUrl = buildLeadRecordUrl(receipts);
+  const results = await Promise.allSettled(
+    targets.map((target) =>
+      target.type === "feishu"
+        ? sendFeishuLeadCard(target, rows, recordUrl)
+        : sendWecomLeadMessage(target, rows, recordUrl),
+    ),
+  );
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.error("lead_notify_failed", record.id, result.reason?.message || result.reason);
+    }
+  }
+}
+
+function readBearerToken(req) {
+  const header = String(req.headers.authorization || "");
+  if (/^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, "").trim();
+  return String(req.headers["x-admin-token"] || "").trim();
+}
+
+function requireAdminToken(req, res) {
+  if (!ADMIN_API_TOKEN) {
+    sendJson(res, 503, { ok: false, message: "管理接口未启用，请配置 ADMIN_API_TOKEN" });
+    return false;
+  }
+  const provided = Buffer.from(readBearerToken(req));
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    sendJson(res, 401, { ok: false, message: "未授权" });
+    return false;
+  }
+  return true;
+}
+
+function readFeishuText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string" || typeof value === "number") return String(value);
+  if (Array.isArray(value)) return value.map((part) => readFeishuText(part)).join("");
+  if (typeof value === "object") return readFeishuText(value.text ?? value.name ?? value.value ?? "");
+  return "";
+}
+
+// 超链接列的值是 { link, text }，文本列直接读文字
+function readFeishuLink(value) {
+  if (Array.isArray(value)) return readFeishuLink(value[0]);
+  if (value && typeof value === "object" && typeof value.link === "string") return value.link;
+  return readFeishuText(value);
+}
+
+// 复选框列是布尔值，也接受文本列里填的“是”
+function readFeishuFlag(value) {
+  if (typeof value === "boolean") return value;
+  return ["是", "1", "true", "yes"].includes(readFeishuText(value).trim().toLowerCase());
+}
+
+function splitProductText(value) {
+  return normalizeProductList(readFeishuText(value).split(/[、,，]/));
+}
+
+function mapFeishuLeadRecord(item) {
+  const fields = item?.fields || {};
+  const typeLabel = readFeishuText(fields["线索类型"]);
+  const type = Object.keys(LEAD_TYPE_LABELS).find((key) => LEAD_TYPE_LABELS[key] === typeLabel) || "";
+  const submittedAtMs = Number(fields["提交时间"]);
+  return {
+    recordId: item?.record_id || "",
+    id: readFeishuText(fields["提交ID"]),
+    type,
+    name: readFeishuText(fields["姓名"]),
+    phone: readFeishuText(fields["手机号"]),
+    intentionProducts: splitProductText(fields["意向产品"]),
+    source: readFeishuText(fields[LEAD_SOURCE_FEISHU_FIELD]),
+    owner: readFeishuText(fields[LEAD_OWNER_FEISHU_FIELD]),
+    priority: Number(fields[LEAD_PRIORITY_FEISHU_FIELD]) || 0,
+    createdAt: Number.isFinite(submittedAtMs) && submittedAtMs > 0 ? new Date(submittedAtMs).toISOString() : "",
+  };
+}
+
+function parseDateParam(value, endOfDay = false) {
+  const raw = normalizeText(String(value || ""), 40);
+  if (!raw) return NaN;
+  // 纯日期按北京时间整天处理
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    const startMs = Date.parse(`${raw}T00:00:00+08:00`);
+    return endOfDay ? startMs + 24 * 60 * 60 * 1000 - 1 : startMs;
+  }
+  return Date.parse(raw);
+}
+
+function parseLeadQuery(url) {
+  const type = normalizeText(url.searchParams.get("type") || "", 32);
+  const query = {
+    type: LEAD_TYPE_LABELS[type] ? type : "",
+    fromMs: parseDateParam(url.searchParams.get("from")),
+    toMs: parseDateParam(url.searchParams.get("to"), true),
+    product: normalizeText(url.searchParams.get("product") || "", 30),
+    phone: normalizeText(url.searchParams.get("phone") || "", 20),
+  };
+  if (type && !query.type) return { error: `type 仅支持 ${Object.keys(LEAD_TYPE_LABELS).join(" / ")}` };
+  return query;
+}
+
+function buildLeadSearchConditions(query) {
+  const conditions = [];
+  if (query.type) {
+    conditions.push({ field_name: "线索类型", operator: "is", value: [LEAD_TYPE_LABELS[query.type]] });
+  }
+  if (Number.isFinite(query.fromMs)) {
+    conditions.push({ field_name: "提交时间", operator: "isGreater", value: ["ExactDate", String(query.fromMs - 1)] });
+  }
+  if (Number.isFinite(query.toMs)) {
+    conditions.push({ field_name: "提交时间", operator: "isLess", value: ["ExactDate", String(query.toMs + 1)] });
+  }
+  if (query.product) {
+    conditions.push({ field_name: "意向产品", operator: "contains", value: [query.product] });
+  }
+  if (query.phone) {
+    conditions.push({ field_name: "手机号", operator: "is", value: [query.phone] });
+  }
+  return conditions;
+}
+
+function resolveLeadTableIds(type) {
+  const forms = type ? [LEAD_FORMS[type]] : Object.values(LEAD_FORMS);
+  return [...new Set(forms.map((form) => form.tableId).filter(Boolean))];
+}
+
+function encodeLeadCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeLeadCursor(value) {
+  if (!value) return { t: 0, p: "" };
+  try {
+    const parsed = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    return {
+      t: clampNumber(parsed?.t, 0, 10, 0),
+      p: typeof parsed?.p === "string" ? parsed.p : "",
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function handleAdminLeadList(req, res, url) {
+  const query = parseLeadQuery(url);
+  if (query.error) {
+    sendJson(res, 400, { ok: false, message: query.error });
+    return;
+  }
+  const cursor = decodeLeadCursor(url.searchParams.get("cursor") || "");
+  if (!cursor) {
+    sendJson(res, 400, { ok: false, message: "cursor 不合法" });
+    return;
+  }
+  const pageSize = clampNumber(url.searchParams.get("pageSize") || 50, 1, 500, 50);
+  const tableIds = resolveLeadTableIds(query.type);
+  if (cursor.t >= tableIds.length) {
+    sendJson(res, 200, { ok: true, items: [], nextCursor: "" });
+    return;
+  }
+
+  // 多张表时按表依次翻页，游标记录当前表序号和飞书 page_token
+  const result = await searchFeishuRecords(tableIds[cursor.t], {
+    conditions: buildLeadSearchConditions(query),
+    pageToken: cursor.p,
+    pageSize,
+  });
+  let nextCursor = "";
+  if (result.hasMore && result.pageToken) {
+    nextCursor = encodeLeadCursor({ t: cursor.t, p: result.pageToken });
+  } else if (cursor.t + 1 < tableIds.length) {
+    nextCursor = encodeLeadCursor({ t: cursor.t + 1, p: "" });
+  }
+  sendJson(res, 200, {
+    ok: true,
+    items: result.items.map(mapFeishuLeadRecord),
+    nextCursor,
+  });
+}
+
+async function* iterateFeishuLeads(query, maxRecords, state = {}) {
+  const conditions = buildLeadSearchConditions(query);
+  let count = 0;
+  for (const tableId of resolveLeadTableIds(query.type)) {
+    let pageToken = "";
+    do {
+      const result = await searchFeishuRecords(tableId, { conditions, pageToken, pageSize: 500 });
+      const leads = result.items.slice(0, maxRecords - count).map(mapFeishuLeadRecord);
+      count += leads.length;
+      pageToken = result.hasMore ? result.pageToken : "";
+      if (leads.length > 0) yield leads;
+      if (count >= maxRecords) {
+        state.truncated = leads.length < result.items.length || Boolean(pageToken);
+        return;
+      }
+    } while (pageToken);
+  }
+}
+
+async function collectFeishuLeads(query, maxRecords) {
+  const state = { truncated: false };
+  const leads = [];
+  for await (const batch of iterateFeishuLeads(query, maxRecords, state)) {
+    leads.push(...batch);
+  }
+  return { leads, truncated: state.truncated };
+}
+
+function formatShanghaiDay(isoText) {
+  const timestamp = Date.parse(isoText);
+  if (!Number.isFinite(timestamp)) return "unknown";
+  return new Date(timestamp + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// 资讯卡片上的相对日期：一天内按分钟/小时，一周内按天，再早显示北京时间日期
+function formatRelativeDate(isoText, nowMs = Date.now()) {
+  const timestamp = Date.parse(isoText);
+  if (!Number.isFinite(timestamp)) return "";
+  const diffMs = nowMs - timestamp;
+  if (diffMs >= 0 && diffMs < 60 * 1000) return "刚刚";
+  if (diffMs >= 0 && diffMs < 60 * 60 * 1000) return `${Math.floor(diffMs / (60 * 1000))} 分钟前`;
+  if (diffMs >= 0 && diffMs < 24 * 60 * 60 * 1000) return `${Math.floor(diffMs / (60 * 60 * 1000))} 小时前`;
+  const day = formatShanghaiDay(isoText);
+  const today = formatShanghaiDay(new Date(nowMs).toISOString());
+  const diffDays = Math.round((Date.parse(today) - Date.parse(day)) / (24 * 60 * 60 * 1000));
+  if (diffDays === 1) return "昨天";
+  if (diffDays > 1 && diffDays < 7) return `${diffDays} 天前`;
+  const [year, month, date] = day.split("-").map(Number);
+  return year === Number(today.slice(0, 4)) ? `${month}月${date}日` : `${year}年${month}月${date}日`;
+}
+
+function formatShanghaiDateTime(isoText) {
+  const timestamp = Date.parse(isoText);
+  if (!Number.isFinite(timestamp)) return "";
+  return new Date(timestamp + 8 * 60 * 60 * 1000).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function incrementCounter(counter, key) {
+  counter[key] = (counter[key] || 0) + 1;
+}
+
+async function handleAdminStats(req, res, url) {
+  const query = parseLeadQuery(url);
+  if (query.error) {
+    sendJson(res, 400, { ok: false, message: query.error });
+    return;
+  }
+  const { leads, truncated } = await collectFeishuLeads(query, ADMIN_STATS_MAX_RECORDS);
+  const perDay = {};
+  const perProduct = {};
+  const perSource = {};
+  const perType = {};
+  const perOwner = {};
+  for (const lead of leads) {
+    incrementCounter(perDay, formatShanghaiDay(lead.createdAt));
+    incrementCounter(perType, lead.type || "unknown");
+    incrementCounter(perSource, lead.source || "unknown");
+    incrementCounter(perOwner, lead.owner || "unassigned");
+    for (const product of lead.intentionProducts) {
+      incrementCounter(perProduct, product);
+    }
+  }
+  sendJson(res, 200, {
+    ok: true,
+    total: leads.length,
+    truncated,
+    perDay,
+    perProduct,
+    perSource,
+    perType,
+    perOwner,
+  });
+}
+
+const LEAD_EXPORT_COLUMNS = ["提交ID", "线索类型", "姓名", "手机号", "意向产品", "提交时间"];
+
+function leadToExportRow(lead, mask) {
+  return [
+    lead.id,
+    LEAD_TYPE_LABELS[lead.type] || "",
+    lead.name,
+    mask ? maskPhone(lead.phone) : lead.phone,
+    lead.intentionProducts.join("、"),
+    formatShanghaiDateTime(lead.createdAt),
+  ];
+}
+
+function escapeCsvCell(value) {
+  let text = String(value ?? "");
+  // 防止 Excel 把以 = + - @ 或制表符、回车开头的内容当公式执行
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function toCsvLine(cells) {
+  return `${cells.map(escapeCsvCell).join(",")}\r\n`;
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.from(entry.content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+function buildXlsx(rows) {
+  const sheetRows = rows
+    .map(
+      (cells) =>
+        `<row>${cells
+          .map((cell) => `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`)
+          .join("")}</row>`,
+    )
+    .join("");
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return buildZip([
+    {
+      name: "[Content_Types].xml",
+      content: `${xmlHead}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      content: `${xmlHead}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `${xmlHead}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="线索" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `${xmlHead}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content: `${xmlHead}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+// xlsx 要在内存里整体打包，条数上限比流式写出的 csv 低
+const LEAD_EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", maxRecords: ADMIN_EXPORT_MAX_RECORDS },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+    maxRecords: ADMIN_EXPORT_XLSX_MAX_RECORDS,
+  },
+};
+
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+}
+
+async function writeLeadExport(stream, format, mask, batches) {
+  if (format === "csv") {
+    // 带 BOM，Excel 直接打开不会乱码
+    await writeChunk(stream, `\ufeff${toCsvLine(LEAD_EXPORT_COLUMNS)}`);
+    for await (const batch of batches) {
+      await writeChunk(stream, batch.map((lead) => toCsvLine(leadToExportRow(lead, mask))).join(""));
+    }
+    return;
+  }
+  const rows = [LEAD_EXPORT_COLUMNS];
+  for await (const batch of batches) {
+    rows.push(...batch.map((lead) => leadToExportRow(lead, mask)));
+  }
+  await writeChunk(stream, buildXlsx(rows));
+}
+
+async function* prependBatch(first, rest) {
+  if (!first.done) yield first.value;
+  yield* rest;
+}
+
+function leadExportFileName(format) {
+  return `leads-${formatShanghaiDay(new Date().toISOString()).replaceAll("-", "")}.${LEAD_EXPORT_FORMATS[format].extension}`;
+}
+
+async function handleAdminExport(req, res, url) {
+  const query = parseLeadQuery(url);
+  if (query.error) {
+    sendJson(res, 400, { ok: false, message: query.error });
+    return;
+  }
+  const format = normalizeText(url.searchParams.get("format") || "csv", 10).toLowerCase();
+  if (!LEAD_EXPORT_FORMATS[format]) {
+    sendJson(res, 400, { ok: false, message: "format 仅支持 csv / xlsx" });
+    return;
+  }
+  const mask = url.searchParams.get("mask") === "1";
+  const batches = iterateFeishuLeads(query, LEAD_EXPORT_FORMATS[format].maxRecords);
+  // 先取第一页，查询失败时还能返回 JSON 错误
+  const first = await batches.next();
+  res.writeHead(200, {
+    "Content-Type": LEAD_EXPORT_FORMATS[format].contentType,
+    "Content-Disposition": `attachment; filename="${leadExportFileName(format)}"`,
+    "Cache-Control": "no-store",
+  });
+  await writeLeadExport(res, format, mask, prependBatch(first, batches));
+  res.end();
+}
+
+function parseCliArgs(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-zA-Z]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] ?? "1";
+  }
+  return options;
+}
+
+async function runExportCli(args) {
+  const options = parseCliArgs(args);
+  if (!hasFeishuConfig()) {
+    console.error("飞书配置缺失，无法导出线索");
+    return 1;
+  }
+  const url = new URL("http://localhost/export");
+  for (const key of ["type", "from", "to", "product", "phone"]) {
+    if (options[key]) url.searchParams.set(key, options[key]);
+  }
+  const query = parseLeadQuery(url);
+  const format = (options.format || "csv").toLowerCase();
+  if (query.error || !LEAD_EXPORT_FORMATS[format]) {
+    console.error(query.error || "format 仅支持 csv / xlsx");
+    return 1;
+  }
+  const output = options.out ? fsNative.createWriteStream(options.out) : process.stdout;
+  await writeLeadExport(
+    output,
+    format,
+    options.mask === "1",
+    iterateFeishuLeads(query, LEAD_EXPORT_FORMATS[format].maxRecords),
+  );
+  if (options.out) {
+    output.end();
+    await once(output, "finish");
+    console.error(`已导出到 ${options.out}`);
+  }
+  return 0;
+}
+
+function signFormTokenPayload(encodedPayload) {
+  return createHmac("sha256", FORM_TOKEN_SECRET).update(encodedPayload).digest("base64url");
+}
+
+function hashClientIp(ip) {
+  return createHmac("sha256", FORM_TOKEN_SECRET).update(`ip:${ip}`).digest("base64url").slice(0, 16);
+}
+
+function issueFormToken(clientIp, page, now = Date.now()) {
+  const payload = {
+    id: randomUUID(),
+    ip: hashClientIp(clientIp),
+    page,
+    iat: now,
+    exp: now + FORM_TOKEN_TTL_MS,
+    pow: FORM_POW_DIFFICULTY > 0 ? { salt: randomUUID(), difficulty: FORM_POW_DIFFICULTY } : null,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return { token: `${encodedPayload}.${signFormTokenPayload(encodedPayload)}`, payload };
+}
+
+function readFormToken(token) {
+  const [encodedPayload, signature] = String(token || "").split(".");
+  if (!encodedPayload || !signature) return null;
+  const expected = Buffer.from(signFormTokenPayload(encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) return null;
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function hasLeadingZeroBits(buffer, bits) {
+  for (let index = 0; index < bits; index += 1) {
+    if (buffer[index >> 3] & (0x80 >> (index & 7))) return false;
+  }
+  return true;
+}
+
+function verifyProofOfWork(challenge, nonce) {
+  if (!challenge) return true;
+  const value = normalizeText(String(nonce ?? ""), 32);
+  if (!value) return false;
+  const digest = createHash("sha256").update(`${challenge.salt}:${value}`).digest();
+  return hasLeadingZeroBits(digest, challenge.difficulty);
+}
+
+function cleanupUsedFormTokens(now) {
+  for (const [id, exp] of usedFormTokens.entries()) {
+    if (exp <= now) usedFormTokens.delete(id);
+  }
+}
+
+// silent 表示对方大概率是机器人，返回假成功；retryAfterMs 表示稍后可用同一令牌重试
+function checkFormGuard(body, clientIp, now = Date.now()) {
+  if (normalizeText(String(body[FORM_HONEYPOT_FIELD] ?? ""), 200)) {
+    return { reason: "honeypot_filled", silent: true };
+  }
+  if (!FORM_TOKEN_SECRET) return null;
+  const payload = readFormToken(body.formToken);
+  if (!payload) return { reason: "token_invalid" };
+  if (payload.exp <= now) return { reason: "token_expired" };
+  if (payload.ip !== hashClientIp(clientIp)) return { reason: "token_ip_mismatch" };
+  if (payload.page !== normalizeText(body.sourcePage || "", 120)) return { reason: "token_page_mismatch" };
+  cleanupUsedFormTokens(now);
+  if (usedFormTokens.has(payload.id)) return { reason: "token_reused" };
+  if (now - payload.iat < FORM_MIN_FILL_MS) {
+    return { reason: "submitted_too_fast", retryAfterMs: FORM_MIN_FILL_MS - (now - payload.iat) };
+  }
+  if (!verifyProofOfWork(payload.pow, body.powNonce)) return { reason: "pow_failed" };
+  return null;
+}
+
+// 同步地检查并占用令牌，并发重放同一令牌时只有一次能通过
+function consumeFormToken(body) {
+  if (!FORM_TOKEN_SECRET) return true;
+  const payload = readFormToken(body.formToken);
+  if (!payload) return true;
+  if (usedFormTokens.has(payload.id)) return false;
+  usedFormTokens.set(payload.id, payload.exp);
+  return true;
+}
+
+async function recordLeadRejection(reason, details) {
+  const entry = {
+    at: new Date().toISOString(),
+    reason,
+    ...details,
+    phone: maskPhone(details.phone),
+  };
+  try {
+    await fs.mkdir(path.dirname(LEAD_REJECTION_FILE), { recursive: true });
+    await fs.appendFile(LEAD_REJECTION_FILE, `${JSON.stringify(entry)}\n`, "utf8");
+  } catch (error) {
+    console.error("lead_rejection_record_failed", error);
+  }
+}
+
+async function rejectFormGuard(req, res, url, body, clientIp, rejection) {
+  await recordLeadRejection(rejection.reason, {
+    endpoint: url.pathname,
+    ip: clientIp,
+    userAgent: normalizeText(String(req.headers["user-agent"] || ""), 200),
+    phone: normalizeText(String(body.phone || ""), 20),
+  });
+  if (rejection.silent) {
+    sendJson(res, 201, { ok: true, message: "提交成功" });
+  } else if (rejection.retryAfterMs) {
+    sendJson(res, 429, { ok: false, message: "提交过快，请稍等几秒再提交", retryAfterMs: rejection.retryAfterMs });
+  } else {
+    sendJson(res, 403, { ok: false, message: "页面已过期，请刷新后重试" });
+  }
+}
+
+async function enforceFormGuard(req, res, url, body, clientIp) {
+  const rejection = checkFormGuard(body, clientIp);
+  if (!rejection) return true;
+  await rejectFormGuard(req, res, url, body, clientIp, rejection);
+  return false;
+}
+
+function handleFormTokenRequest(req, res, url) {
+  if (!FORM_TOKEN_SECRET) {
+    sendJson(res, 200, {
+      ok: true,
+      enabled: false,
+      smsRequired: isSmsVerificationEnabled(),
+      privacyPolicyVersion: PRIVACY_POLICY_VERSION,
+    });
+    return;
+  }
+  const clientIp = getClientIp(req);
+  if (!enforceRateLimits(res, url.pathname, { ip: clientIp })) return;
+  const page = normalizeText(url.searchParams.get("page") || "", 120);
+  const { token, payload } = issueFormToken(clientIp, page);
+  sendJson(res, 200, {
+    ok: true,
+    enabled: true,
+    token,
+    expiresAt: new Date(payload.exp).toISOString(),
+    challenge: payload.pow,
+    smsRequired: isSmsVerificationEnabled(),
+    privacyPolicyVersion: PRIVACY_POLICY_VERSION,
+  });
+}
+
+function percentEncodeAliyun(value) {
+  return encodeURIComponent(value).replace(/\+/g, "%20").replace(/\*/g, "%2A").replace(/%7E/g, "~");
+}
+
+async function sendAliyunSms(phone, code) {
+  const params = {
+    AccessKeyId: ALIYUN_SMS_CONFIG.accessKeyId,
+    Action: "SendSms",
+    Format: "JSON",
+    PhoneNumbers: phone,
+    RegionId: "cn-hangzhou",
+    SignName: ALIYUN_SMS_CONFIG.signName,
+    SignatureMethod: "HMAC-SHA1",
+    SignatureNonce: randomUUID(),
+    SignatureVersion: "1.0",
+    TemplateCode: ALIYUN_SMS_CONFIG.templateCode,
+    TemplateParam: JSON.stringify({ code }),
+    Timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, "Z"),
+    Version: "2017-05-25",
+  };
+  const canonicalQuery = Object.keys(params)
+    .sort()
+    .map((key) => `${percentEncodeAliyun(key)}=${percentEncodeAliyun(params[key])}`)
+    .join("&");
+  const stringToSign = `GET&${percentEncodeAliyun("/")}&${percentEncodeAliyun(canonicalQuery)}`;
+  const signature = createHmac("sha1", `${ALIYUN_SMS_CONFIG.accessKeySecret}&`).update(stringToSign).digest("base64");
+  const response = await fetch(
+    `https://dysmsapi.aliyuncs.com/?Signature=${percentEncodeAliyun(signature)}&${canonicalQuery}`,
+    { signal: AbortSignal.timeout(10 * 1000) },
+  );
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.Code !== "OK") {
+    throw new Error(`sms_send_failed:${data.Code || `http_${response.status}`}`);
+  }
+}
+
+function sha256Hex(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+async function sendTencentSms(phone, code) {
+  const host = "sms.tencentcloudapi.com";
+  const timestamp = Math.floor(Date.now() / 1000);
+  const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+  const payload = JSON.stringify({
+    PhoneNumberSet: [`+86${phone}`],
+    SmsSdkAppId: TENCENT_SMS_CONFIG.sdkAppId,
+    SignName: TENCENT_SMS_CONFIG.signName,
+    TemplateId: TENCENT_SMS_CONFIG.templateId,
+    TemplateParamSet: [code],
+  });
+  const canonicalRequest = [
+    "POST",
+    "/",
+    "",
+    `content-type:application/json; charset=utf-8\nhost:${host}\n`,
+    "content-type;host",
+    sha256Hex(payload),
+  ].join("\n");
+  const credentialScope = `${date}/sms/tc3_request`;
+  const stringToSign = ["TC3-HMAC-SHA256", String(timestamp), credentialScope, sha256Hex(canonicalRequest)].join("\n");
+  const secretDate = createHmac("sha256", `TC3${TENCENT_SMS_CONFIG.secretKey}`).update(date).digest();
+  const secretService = createHmac("sha256", secretDate).update("sms").digest();
+  const secretSigning = createHmac("sha256", secretService).update("tc3_request").digest();
+  const signature = createHmac("sha256", secretSigning).update(stringToSign).digest("hex");
+  const response = await fetch(`https://${host}/`, {
+    method: "POST",
+    headers: {
+      Authorization: `TC3-HMAC-SHA256 Credential=${TENCENT_SMS_CONFIG.secretId}/${credentialScope}, SignedHeaders=content-type;host, Signature=${signature}`,
+      "Content-Type": "application/json; charset=utf-8",
+      "X-TC-Action": "SendSms",
+      "X-TC-Version": "2021-01-11",
+      "X-TC-Timestamp": String(timestamp),
+      "X-TC-Region": TENCENT_SMS_CONFIG.region,
+    },
+    body: payload,
+    signal: AbortSignal.timeout(10 * 1000),
+  });
+  const data = await response.json().catch(() => ({}));
+  const status = data.Response?.SendStatusSet?.[0];
+  if (!response.ok || data.Response?.Error || status?.Code !== "Ok") {
+    throw new Error(`sms_send_failed:${data.Response?.Error?.Code || status?.Code || `http_${response.status}`}`);
+  }
+}
+
+const SMS_PROVIDERS = {
+  console: {
+    isConfigured: () => true,
+    send: async (phone, code) => {
+      console.log(`sms_code ${maskPhone(phone)} ${code}`);
+    },
+  },
+  aliyun: {
+    isConfigured: () => Object.values(ALIYUN_SMS_CONFIG).every(Boolean),
+    send: sendAliyunSms,
+  },
+  tencent: {
+    isConfigured: () => Object.values(TENCENT_SMS_CONFIG).every(Boolean),
+    send: sendTencentSms,
+  },
+};
+
+function isSmsVerificationEnabled() {
+  return Boolean(SMS_PROVIDERS[SMS_PROVIDER]);
+}
+
+function hashSmsCode(phone, code) {
+  return createHash("sha256").update(`${phone}:${code}`).digest();
+}
+
+function cleanupSmsStores(now) {
+  for (const [phone, entry] of smsCodeStore.entries()) {
+    if (entry.expiresAtMs <= now && now - entry.sentAtMs >= SMS_RESEND_COOLDOWN_MS) {
+      smsCodeStore.delete(phone);
+    }
+  }
+  const today = formatShanghaiDay(new Date(now).toISOString());
+  for (const key of smsDailyCounter.keys()) {
+    if (!key.startsWith(`${today}|`)) smsDailyCounter.delete(key);
+  }
+}
+
+function checkSmsCode(phone, code, now = Date.now()) {
+  const entry = smsCodeStore.get(phone);
+  if (!entry || entry.used) return "missing";
+  if (entry.expiresAtMs <= now) return "expired";
+  if (entry.attempts >= SMS_MAX_VERIFY_ATTEMPTS) return "locked";
+  const provided = hashSmsCode(phone, normalizeText(String(code ?? ""), 10));
+  if (!timingSafeEqual(provided, entry.hash)) {
+    entry.attempts += 1;
+    return entry.attempts >= SMS_MAX_VERIFY_ATTEMPTS ? "locked" : "mismatch";
+  }
+  return null;
+}
+
+function consumeSmsCode(phone) {
+  if (!isSmsVerificationEnabled()) return true;
+  const entry = smsCodeStore.get(phone);
+  if (!entry || entry.used) return false;
+  entry.used = true;
+  return true;
+}
+
+const SMS_VERIFY_MESSAGES = {
+  missing: "请先获取短信验证码",
+  expired: "验证码已过期，请重新获取",
+  locked: "验证码错误次数过多，请重新获取",
+  mismatch: "验证码错误",
+};
+
+function enforceSmsCode(res, phone, body) {
+  if (!isSmsVerificationEnabled()) return true;
+  const failure = checkSmsCode(phone, body.smsCode);
+  if (!failure) return true;
+  sendJson(res, 400, { ok: false, message: SMS_VERIFY_MESSAGES[failure] });
+  return false;
+}
+
+async function handleVerifySend(req, res, url) {
+  if (!isSmsVerificationEnabled()) {
+    sendJson(res, 503, { ok: false, message: "短信验证未启用" });
+    return;
+  }
+  const clientIp = getClientIp(req);
+  if (!enforceRateLimits(res, url.pathname, { endpoint: "*", ip: clientIp })) return;
+
+  const body = await readJsonBody(req);
+  if (!(await enforceFormGuard(req, res, url, body, clientIp))) return;
+  const phone = normalizeText(body.phone, 20);
+  if (!isValidPhone(phone)) {
+    sendJson(res, 400, { ok: false, message: "手机号不合法" });
+    return;
+  }
+  if (!enforceRateLimits(res, url.pathname, { phone })) return;
+
+  const now = Date.now();
+  cleanupSmsStores(now);
+  const previous = smsCodeStore.get(phone);
+  if (previous && now - previous.sentAtMs < SMS_RESEND_COOLDOWN_MS) {
+    const waitSeconds = Math.ceil((previous.sentAtMs + SMS_RESEND_COOLDOWN_MS - now) / 1000);
+    res.setHeader("Retry-After", String(waitSeconds));
+    sendJson(res, 429, { ok: false, message: `请 ${waitSeconds} 秒后再获取验证码`, cooldownSeconds: waitSeconds });
+    return;
+  }
+  const today = formatShanghaiDay(new Date(now).toISOString());
+  const dailyLimits = [
+    { key: `${today}|${phone}`, limit: SMS_DAILY_LIMIT, message: "今日验证码发送次数已达上限" },
+    { key: `${today}|ip:${hashClientIp(clientIp)}`, limit: SMS_IP_DAILY_LIMIT, message: "今日验证码发送次数已达上限" },
+    { key: `${today}|*`, limit: SMS_GLOBAL_DAILY_LIMIT, message: "验证码发送繁忙，请明天再试" },
+  ];
+  const exceeded = dailyLimits.find(({ key, limit }) => (smsDailyCounter.get(key) || 0) >= limit);
+  if (exceeded) {
+    if (exceeded.limit === SMS_GLOBAL_DAILY_LIMIT) console.error("sms_global_daily_limit_reached", today);
+    sendJson(res, 429, { ok: false, message: exceeded.message });
+    return;
+  }
+
+  const provider = SMS_PROVIDERS[SMS_PROVIDER];
+  if (!provider.isConfigured()) {
+    sendJson(res, 503, { ok: false, message: "短信服务配置缺失" });
+    return;
+  }
+  const code = String(randomInt(100000, 1000000));
+  const entry = {
+    hash: hashSmsCode(phone, code),
+    sentAtMs: now,
+    expiresAtMs: now + SMS_CODE_TTL_MS,
+    attempts: 0,
+    used: false,
+  };
+  // 先占住冷却期和当日额度再发送，并发请求不会绕过限制；发送失败时退回
+  smsCodeStore.set(phone, entry);
+  for (const { key } of dailyLimits) smsDailyCounter.set(key, (smsDailyCounter.get(key) || 0) + 1);
+  try {
+    await provider.send(phone, code);
+  } catch (error) {
+    console.error("sms_send_failed", maskPhone(phone), error);
+    for (const { key } of dailyLimits) {
+      const count = (smsDailyCounter.get(key) || 0) - 1;
+      if (count > 0) smsDailyCounter.set(key, count);
+      else smsDailyCounter.delete(key);
+    }
+    if (smsCodeStore.get(phone) === entry) {
+      if (previous) smsCodeStore.set(phone, previous);
+      else smsCodeStore.delete(phone);
+    }
+    sendJson(res, 502, { ok: false, message: "验证码发送失败，请稍后重试" });
+    return;
+  }
+  sendJson(res, 200, {
+    ok: true,
+    message: "验证码已发送",
+    cooldownSeconds: Math.ceil(SMS_RESEND_COOLDOWN_MS / 1000),
+    expiresInSeconds: Math.ceil(SMS_CODE_TTL_MS / 1000),
+  });
+}
+
+function readLeadConsent(body, now = Date.now()) {
+  const raw = body.consent && typeof body.consent === "object" ? body.consent : {};
+  if (raw.agreed !== true) {
+    return { error: "请先阅读并同意《隐私政策》和《用户协议》" };
+  }
+  const policyVersion = normalizeText(raw.policyVersion, 40);
+  if (policyVersion !== PRIVACY_POLICY_VERSION) {
+    return { error: "隐私政策已更新，请刷新页面后重新确认" };
+  }
+  // 勾选时间以客户端为准，明显不合理时使用服务端收到的时间
+  const agreedAtMs = Date.parse(normalizeText(raw.agreedAt, 40));
+  const agreedAt =
+    Number.isFinite(agreedAtMs) && agreedAtMs <= now + 5 * 60 * 1000 && agreedAtMs >= now - 24 * 60 * 60 * 1000
+      ? new Date(agreedAtMs).toISOString()
+      : new Date(now).toISOString();
+  return {
+    consent: { agreed: true, policyVersion, agreedAt, recordedAt: new Date(now).toISOString() },
+  };
+}
+
+function normalizeAttributionText(value, maxLength = 100) {
+  return normalizeText(value, maxLength * 2).replace(/[\u0000-\u001f\u007f]/g, "").slice(0, maxLength);
+}
+
+function normalizeAttributionUrl(value, allowPath) {
+  const raw = normalizeAttributionText(value, 500);
+  if (!raw) return "";
+  if (allowPath && raw.startsWith("/") && !raw.startsWith("//")) return raw;
+  try {
+    const parsed = new URL(raw);
+    return /^https?:$/.test(parsed.protocol) ? parsed.href.slice(0, 500) : "";
+  } catch {
+    return "";
+  }
+}
+
+function normalizeAttributionTime(value, now) {
+  const atMs = Date.parse(normalizeText(value, 40));
+  // 客户端时钟可能略快，允许 5 分钟误差；过旧的触点视为无效
+  if (!Number.isFinite(atMs) || atMs > now + 5 * 60 * 1000 || atMs < now - LEAD_ATTRIBUTION_MAX_AGE_MS) return "";
+  return new Date(atMs).toISOString();
+}
+
+function normalizeAttributionTouch(raw, now) {
+  const touch = raw && typeof raw === "object" ? raw : {};
+  return {
+    utmSource: normalizeAttributionText(touch.utmSource),
+    utmMedium: normalizeAttributionText(touch.utmMedium),
+    utmCampaign: normalizeAttributionText(touch.utmCampaign),
+    utmTerm: normalizeAttributionText(touch.utmTerm),
+    utmContent: normalizeAttributionText(touch.utmContent),
+    referrer: normalizeAttributionUrl(touch.referrer, false),
+    landingPage: normalizeAttributionUrl(touch.landingPage, true),
+    at: normalizeAttributionTime(touch.at, now),
+  };
+}
+
+function normalizeLeadAttribution(body, { cta, sourcePage }, now = Date.now()) {
+  const raw = body.attribution && typeof body.attribution === "object" ? body.attribution : {};
+  return {
+    cta: normalizeAttributionText(cta || raw.cta, 60),
+    sourcePage,
+    firstTouch: normalizeAttributionTouch(raw.firstTouch, now),
+    lastTouch: normalizeAttributionTouch(raw.lastTouch, now),
+  };
+}
+
+function shanghaiClock(now) {
+  const shifted = new Date(now + 8 * 60 * 60 * 1000);
+  return { day: shifted.getUTCDay(), minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes() };
+}
+
+function isOwnerOnDuty(owner, clock) {
+  const hours = owner.workingHours;
+  if (!hours) return true;
+  if (!hours.days.has(clock.day)) return false;
+  if (hours.startMinutes <= hours.endMinutes) {
+    return clock.minutes >= hours.startMinutes && clock.minutes < hours.endMinutes;
+  }
+  // 跨零点的班次（如 20:00-08:00）
+  return clock.minutes >= hours.startMinutes || clock.minutes < hours.endMinutes;
+}
+
+async function loadLeadRoutingState() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(LEAD_ROUTING_STATE_FILE, "utf8"));
+    if (parsed?.cursors && typeof parsed.cursors === "object") {
+      leadRoutingState.cursors = parsed.cursors;
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") console.error("lead_routing_state_load_failed", error);
+  }
+}
+
+function ensureLeadRoutingStateLoaded() {
+  if (!leadRoutingState.loading) {
+    leadRoutingState.loading = loadLeadRoutingState();
+  }
+  return leadRoutingState.loading;
+}
+
+function persistLeadRoutingState() {
+  const snapshot = JSON.stringify({ cursors: leadRoutingState.cursors, updatedAt: new Date().toISOString() });
+  leadRoutingState.writeChain = leadRoutingState.writeChain
+    .then(() => fs.writeFile(LEAD_ROUTING_STATE_FILE, snapshot, "utf8"))
+    .catch((error) => console.error("lead_routing_state_persist_failed", error));
+  return leadRoutingState.writeChain;
+}
+
+function pickTeamMember(teamName, clock, onDutyOnly) {
+  const members = LEAD_ROUTING.teams[teamName];
+  const start = Number(leadRoutingState.cursors[teamName]) || 0;
+  for (let offset = 0; offset < members.length; offset += 1) {
+    const index = (start + offset) % members.length;
+    if (onDutyOnly && !isOwnerOnDuty(members[index], clock)) continue;
+    leadRoutingState.cursors[teamName] = (index + 1) % members.length;
+    return members[index];
+  }
+  return null;
+}
+
+function scoreLead(kind, record, now) {
+  // 简单打分：表单基础分（咨询高于单纯留电话），多选产品、重复提交和回访用户加分
+  let score = LEAD_FORMS[kind].priorityBase;
+  score += Math.min(3, (record.intentionProducts || []).length) * 10;
+  if (record.repeatOf) score += 20;
+  const firstTouchMs = Date.parse(record.attribution?.firstTouch?.at || "");
+  if (Number.isFinite(firstTouchMs) && now - firstTouchMs > 24 * 60 * 60 * 1000) score += 10;
+  return Math.min(100, score);
+}
+
+async function assignLeadOwner(kind, record, now = Date.now()) {
+  const priority = scoreLead(kind, record, now);
+  if (!LEAD_ROUTING) return { priority };
+  await ensureLeadRoutingStateLoaded();
+  const products = record.intentionProducts || [];
+  const rules = LEAD_ROUTING.rules.filter(
+    (rule) => rule.products.length === 0 || rule.products.some((product) => products.includes(product)),
+  );
+  if (rules.length === 0) return { priority };
+
+  const clock = shanghaiClock(now);
+  // 按规则顺序找在岗的负责人；都不在岗时仍按第一条命中规则分配，并标记为非工作时间
+  for (const onDutyOnly of [true, false]) {
+    for (const rule of rules) {
+      let owner = rule.owner;
+      if (owner && onDutyOnly && !isOwnerOnDuty(owner, clock)) owner = null;
+      if (!owner && rule.team) owner = pickTeamMember(rule.team, clock, onDutyOnly);
+      if (!owner) continue;
+      if (rule.team && owner !== rule.owner) persistLeadRoutingState();
+      return {
+        owner: { name: owner.name, openId: owner.openId, team: owner === rule.owner ? "" : rule.team, offHours: !onDutyOnly },
+        priority,
+      };
+    }
+  }
+  return { priority };
+}
+
+function getLeadRoutingStatus() {
+  if (!LEAD_ROUTING) return { enabled: false };
+  return {
+    enabled: true,
+    rules: LEAD_ROUTING.rules.length,
+    teams: Object.fromEntries(Object.entries(LEAD_ROUTING.teams).map(([name, members]) => [name, members.length])),
+  };
+}
+
+async function findDuplicateLead(kind, phone, exactKey) {
+  // reject 沿用原有的精确去重键；merge / tag 关注的是同一手机号的重复来访
+  const localKey = LEAD_DEDUPE_POLICY === "reject" ? exactKey : `${kind}|${phone}`;
+  const local = await findDuplicateSubmission(localKey);
+  if (local) return { leadId: local.leadId, localKey };
+  if (LEAD_DEDUPE_FEISHU_LOOKUP && hasFeishuConfig()) {
+    try {
+      const remote = await findRecentFeishuLeadByPhone(kind, phone);
+      if (remote?.id) return { leadId: remote.id, localKey };
+    } catch (error) {
+      console.error("lead_dedupe_lookup_failed", error);
+    }
+  }
+  return { leadId: "", localKey };
+}
+
+function readLeadFormValues(form, body) {
+  const values = {};
+  for (const field of form.fields) {
+    const raw = body[field.name];
+    if (field.type === "multiEnum") {
+      const list = Array.isArray(raw)
+        ? [...new Set(raw.map((item) => normalizeText(item, field.maxLength)).filter(Boolean))]
+        : [];
+      if (field.options.length > 0 && list.some((item) => !field.options.includes(item))) {
+        return { error: `${field.label}不合法` };
+      }
+      if (field.required && list.length === 0) return { error: `请选择${field.label}` };
+      values[field.name] = list;
+      continue;
+    }
+    const text = normalizeText(raw, field.maxLength) || field.default;
+    if (!text) {
+      if (field.required) return { error: `请填写${field.label}` };
+      values[field.name] = "";
+      continue;
+    }
+    const valid =
+      (field.type !== "phone" || isValidPhone(text)) &&
+      (field.type !== "email" || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) &&
+      (field.type !== "enum" || field.options.includes(text));
+    if (!valid) return { error: `${field.label}不合法` };
+    values[field.name] = text;
+  }
+  return { values };
+}
+
+function buildLeadDuplicateKey(form, record) {
+  const parts = form.dedupeKey.map((name) => {
+    const value = record[name];
+    return Array.isArray(value) ? [...value].sort().join(",") : String(value || "");
+  });
+  return [form.id, record.phone, ...parts].join("|");
+}
+
+function getPublicLeadForm(form) {
+  return {
+    id: form.id,
+    title: form.title,
+    fields: form.fields.map((field) => ({
+      name: field.name,
+      label: field.label,
+      type: field.type,
+      required: field.required,
+      maxLength: field.maxLength,
+      options: field.options,
+    })),
+  };
+}
+
+async function handleLeadFormSubmit(req, res, url, form) {
+  const clientIp = getClientIp(req);
+  if (!enforceRateLimits(res, url.pathname, { endpoint: "*", ip: clientIp })) return;
+
+  const body = await readJsonBody(req);
+  if (!(await enforceFormGuard(req, res, url, body, clientIp))) return;
+  const { values, error } = readLeadFormValues(form, body);
+  if (error) {
+    sendJson(res, 400, { ok: false, message: error });
+    return;
+  }
+  const { consent, error: consentError } = readLeadConsent(body);
+  if (consentError) {
+    sendJson(res, 400, { ok: false, message: consentError });
+    return;
+  }
+  const { phone } = values;
+  if (!enforceRateLimits(res, url.pathname, { phone })) return;
+  if (!enforceSmsCode(res, phone, body)) return;
+
+  const sourcePage = normalizeText(body.sourcePage || "unknown", 40) || "unknown";
+  const duplicateKey = buildLeadDuplicateKey(form, { ...values, sourcePage });
+  const duplicate = await findDuplicateLead(form.id, phone, duplicateKey);
+  if (duplicate.leadId && LEAD_DEDUPE_POLICY === "reject") {
+    sendJson(res, 409, { ok: false, message: "请勿重复提交，我们会尽快联系您" });
+    return;
+  }
+  // 线索即将受理，此时才占用令牌和验证码；前面被拒的提交可以改正后用同一令牌和验证码重试
+  if (!consumeFormToken(body)) {
+    await rejectFormGuard(req, res, url, body, clientIp, { reason: "token_reused" });
+    return;
+  }
+  if (!consumeSmsCode(phone)) {
+    sendJson(res, 400, { ok: false, message: SMS_VERIFY_MESSAGES.missing });
+    return;
+  }
+  if (duplicate.leadId && LEAD_DEDUPE_POLICY === "merge") {
+    await enqueueLeadDelivery("merge", {
+      id: randomUUID(),
+      targetId: duplicate.leadId,
+      form: form.id,
+      phone,
+      values: Object.fromEntries(
+        form.fields.filter((field) => field.type === "multiEnum").map((field) => [field.name, values[field.name]]),
+      ),
+      attribution: normalizeLeadAttribution(body, { cta: values.source, sourcePage }),
+      consent,
+      createdAt: new Date().toISOString(),
     });
-    req.on("end", () => {
+    await markDuplicateSubmission([duplicate.localKey], duplicate.leadId);
+    sendJson(res, 200, { ok: true, message: form.messages.merged });
+    return;
+  }
+
+  const record = {
+    id: randomUUID(),
+    ...values,
+    sourcePage,
+    attribution: normalizeLeadAttribution(body, { cta: values.source, sourcePage }),
+    consent,
+    repeatOf: duplicate.leadId,
+    createdAt: new Date().toISOString(),
+  };
+  Object.assign(record, await assignLeadOwner(form.id, record));
+
+  await enqueueLeadDelivery(form.id, record);
+  await markDuplicateSubmission([duplicateKey, duplicate.localKey], record.id);
+  sendJson(res, 201, { ok: true, message: form.messages.success });
+}
+
+async function readJsonLinesFile(filePath) {
+  let raw = "";
+  try {
+    raw = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return raw
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
       try {
-        const raw = Buffer.concat(chunks).toString("utf8");
-        resolve(raw ? JSON.parse(raw) : {});
+        return { line, entry: JSON.parse(line) };
       } catch {
-        reject(new Error("invalid_json"));
+        return { line, entry: null };
       }
     });
-    req.on("error", reject);
-  });
 }
 
-async function getFeishuTenantToken() {
-  const now = Date.now();
-  if (feishuTokenCache.token && now < feishuTokenCache.expiresAtMs) {
-    return feishuTokenCache.token;
-  }
-
-  const response = await fetch("https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      app_id: FEISHU_APP_ID,
-      app_secret: FEISHU_APP_SECRET,
-    }),
-  });
+async function rewriteJsonLinesFile(filePath, lines) {
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, lines.map((line) => `${line}\n`).join(""), "utf8");
+  await fs.rename(tempFile, filePath);
+}
 
-  const data = await response.json();
-  if (!response.ok || data.code !== 0 || !data.tenant_access_token) {
-    throw new Error(`feishu_auth_failed:${data.msg || "unknown"}`);
+const PRIVACY_LOCAL_FILES = [
+  { name: "leadFile", filePath: LEAD_FILE_SINK_PATH, match: (entry, phone) => entry?.phone === phone },
+  { name: "deadLetters", filePath: LEAD_DEAD_LETTER_FILE, match: (entry, phone) => entry?.record?.phone === phone },
+];
+
+// 旧版把线索按类型存成数组写在 data/leads.json 中，老部署上可能仍有该文件
+const LEGACY_LEAD_FILE = path.join(__dirname, "data", "leads.json");
+
+async function readLegacyLeadFile() {
+  try {
+    return JSON.parse(await fs.readFile(LEGACY_LEAD_FILE, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
   }
+}
 
-  const expiresInSeconds = Number(data.expire || 7200);
-  feishuTokenCache.token = data.tenant_access_token;
-  feishuTokenCache.expiresAtMs = now + Math.max(60, expiresInSeconds - 60) * 1000;
-  return feishuTokenCache.token;
+function listLegacyLeads(legacy, phone) {
+  return Object.values(legacy)
+    .filter(Array.isArray)
+    .flat()
+    .filter((entry) => entry?.phone === phone);
 }
 
-async function createFeishuRecord(tableId, fields) {
-  const token = await getFeishuTenantToken();
-  const url = `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/records`;
+async function eraseLegacyLeads(phone) {
+  const legacy = await readLegacyLeadFile();
+  const count = listLegacyLeads(legacy, phone).length;
+  if (count === 0) return 0;
+  const kept = Object.fromEntries(
+    Object.entries(legacy).map(([key, list]) => [
+      key,
+      Array.isArray(list) ? list.filter((entry) => entry?.phone !== phone) : list,
+    ]),
+  );
+  const tempFile = `${LEGACY_LEAD_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, `${JSON.stringify(kept, null, 2)}\n`, "utf8");
+  await fs.rename(tempFile, LEGACY_LEAD_FILE);
+  return count;
+}
 
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify({ fields }),
-  });
+function isDuplicateKeyForPhone(key, phone) {
+  return key.split("|")[1] === phone;
+}
 
-  const data = await response.json();
-  if (!response.ok || data.code !== 0) {
-    throw new Error(`feishu_record_failed:${data.msg || "unknown"}`);
+async function findFeishuRecordsByPhone(tableId, phone) {
+  const items = [];
+  let pageToken = "";
+  do {
+    const page = await searchFeishuRecords(tableId, {
+      conditions: [{ field_name: "手机号", operator: "is", value: [phone] }],
+      pageToken,
+      pageSize: 500,
+    });
+    items.push(...page.items);
+    pageToken = page.hasMore ? page.pageToken : "";
+  } while (pageToken);
+  return items;
+}
+
+async function deleteFeishuRecords(tableId, recordIds) {
+  const token = await getFeishuTenantToken();
+  const url = `https://open.feishu.cn/open-apis/bitable/v1/apps/${FEISHU_APP_TOKEN}/tables/${tableId}/records/batch_delete`;
+  // 批量删除接口单次最多 500 条
+  for (let index = 0; index < recordIds.length; index += 500) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ records: recordIds.slice(index, index + 500) }),
+    });
+    const data = await response.json();
+    if (!response.ok || data.code !== 0) {
+      throw new Error(`feishu_record_failed:${data.msg || "unknown"}`);
+    }
   }
 }
 
-async function syncConsultationToFeishu(record) {
-  const submittedAtMs = Date.parse(record.createdAt);
-  const fields = {
-    提交ID: record.id,
-    线索类型: "立即咨询",
-    姓名: record.name,
-    手机号: record.phone,
-    意向产品: record.intentionProducts.join("、"),
-    提交时间: Number.isFinite(submittedAtMs) ? submittedAtMs : Date.now(),
-  };
-  await createFeishuRecord(FEISHU_CONSULTATION_TABLE_ID, fields);
+async function withLeadOutboxPaused(task) {
+  // 借用 draining 标记暂停投递，避免删除过程中又有同一手机号的线索写入飞书或本地文件
+  const deadline = Date.now() + 60 * 1000;
+  while (leadOutbox.draining) {
+    if (Date.now() > deadline) throw new Error("outbox_busy");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  leadOutbox.draining = true;
+  try {
+    return await task();
+  } finally {
+    leadOutbox.draining = false;
+    scheduleLeadOutboxDrain(0);
+  }
 }
 
-async function syncPhoneLeadToFeishu(record) {
-  const submittedAtMs = Date.parse(record.createdAt);
-  const fields = {
-    提交ID: record.id,
-    线索类型: "预约回电",
-    姓名: "",
-    手机号: record.phone,
-    意向产品: "",
-    提交时间: Number.isFinite(submittedAtMs) ? submittedAtMs : Date.now(),
+async function collectLocalPersonalData(phone) {
+  await ensureLeadOutboxLoaded();
+  await refreshDuplicateStore();
+  const data = {
+    outbox: [...leadOutbox.jobs.values()].filter((job) => job.record?.phone === phone),
+    dedupeKeys: [...duplicateStore.entries.keys()].filter((key) => isDuplicateKeyForPhone(key, phone)),
   };
-  await createFeishuRecord(FEISHU_PHONE_TABLE_ID, fields);
+  for (const store of PRIVACY_LOCAL_FILES) {
+    const rows = await readJsonLinesFile(store.filePath);
+    data[store.name] = rows.filter((row) => store.match(row.entry, phone)).map((row) => row.entry);
+  }
+  data.legacyLeads = listLegacyLeads(await readLegacyLeadFile(), phone);
+  return data;
 }
 
-async function handleConsultationSubmit(req, res, url) {
-  const clientIp = getClientIp(req);
-  const rateLimitKey = `${clientIp}:${url.pathname}`;
-  if (isRateLimited(rateLimitKey)) {
-    sendJson(res, 429, { ok: false, message: "提交过于频繁，请稍后再试" });
-    return;
+async function collectFeishuPersonalData(phone) {
+  const records = [];
+  for (const tableId of resolveLeadTableIds("")) {
+    for (const item of await findFeishuRecordsByPhone(tableId, phone)) {
+      records.push({ tableId, recordId: item.record_id, fields: item.fields || {} });
+    }
   }
+  return records;
+}
 
-  const body = await readJsonBody(req);
-  const name = normalizeText(body.name, 40);
-  const phone = normalizeText(body.phone, 20);
-  const sourcePage = normalizeText(body.sourcePage || "unknown", 40) || "unknown";
-  const intentionProducts = normalizeProductList(body.intentionProducts);
+async function eraseLocalPersonalData(phone) {
+  const removed = {};
+  await ensureLeadOutboxLoaded();
+  const jobIds = [...leadOutbox.jobs.values()].filter((job) => job.record?.phone === phone).map((job) => job.id);
+  jobIds.forEach((id) => leadOutbox.jobs.delete(id));
+  // 已投递线索的历史记录也在 outbox 日志里，删除后强制压缩重写
+  await compactLeadOutbox(true);
+  removed.outbox = jobIds.length;
 
-  if (!name || !isValidPhone(phone) || intentionProducts.length === 0) {
-    sendJson(res, 400, { ok: false, message: "参数不合法" });
-    return;
+  for (const store of PRIVACY_LOCAL_FILES) {
+    const rows = await readJsonLinesFile(store.filePath);
+    const kept = rows.filter((row) => !store.match(row.entry, phone));
+    removed[store.name] = rows.length - kept.length;
+    if (removed[store.name] > 0) await rewriteJsonLinesFile(store.filePath, kept.map((row) => row.line));
   }
+  leadOutbox.deadLetterCount = Math.max(0, leadOutbox.deadLetterCount - removed.deadLetters);
+  removed.legacyLeads = await eraseLegacyLeads(phone);
 
-  const duplicateKey = `consultation|${phone}|${sourcePage}|${[...intentionProducts].sort().join(",")}`;
-  if (hasDuplicateSubmission(duplicateKey)) {
-    sendJson(res, 409, { ok: false, message: "请勿重复提交，我们会尽快联系您" });
-    return;
-  }
+  await refreshDuplicateStore();
+  const keys = [...duplicateStore.entries.keys()].filter((key) => isDuplicateKeyForPhone(key, phone));
+  keys.forEach((key) => duplicateStore.entries.delete(key));
+  await fs.mkdir(path.dirname(LEAD_DEDUPE_FILE), { recursive: true });
+  await compactDuplicateStore(Date.now());
+  removed.dedupeKeys = keys.length;
 
-  const record = {
-    id: randomUUID(),
-    name,
-    phone,
-    sourcePage,
-    intentionProducts,
-    createdAt: new Date().toISOString(),
-  };
+  smsCodeStore.delete(phone);
+  return removed;
+}
 
-  await syncConsultationToFeishu(record);
-  markDuplicateSubmission(duplicateKey);
-  sendJson(res, 201, { ok: true, message: "提交成功" });
+async function appendPrivacyAudit(entry) {
+  await fs.mkdir(path.dirname(PRIVACY_AUDIT_FILE), { recursive: true });
+  await fs.appendFile(PRIVACY_AUDIT_FILE, `${JSON.stringify(entry)}\n`, "utf8");
 }
 
-async function handlePhoneLeadSubmit(req, res, url) {
-  const clientIp = getClientIp(req);
-  const rateLimitKey = `${clientIp}:${url.pathname}`;
-  if (isRateLimited(rateLimitKey)) {
-    sendJson(res, 429, { ok: false, message: "提交过于频繁，请稍后再试" });
-    return;
+// 中途出错时也写入 failed 审计记录再抛出
+async function withPrivacyAudit(audit, task) {
+  const entry = { ...audit, status: "failed", counts: {}, error: "" };
+  try {
+    Object.assign(entry, await task());
+    return entry;
+  } catch (error) {
+    entry.error = normalizeText(error?.message || String(error), 200);
+    throw error;
+  } finally {
+    entry.completedAt = new Date().toISOString();
+    await appendPrivacyAudit(entry);
   }
+}
 
+async function readPrivacyRequest(req, res) {
   const body = await readJsonBody(req);
   const phone = normalizeText(body.phone, 20);
-  const source = normalizeText(body.source || "unknown", 40) || "unknown";
-
+  const requestedBy = normalizeText(body.requestedBy, 40);
   if (!isValidPhone(phone)) {
     sendJson(res, 400, { ok: false, message: "手机号不合法" });
-    return;
+    return null;
   }
-
-  const duplicateKey = `phone|${phone}|${source}`;
-  if (hasDuplicateSubmission(duplicateKey)) {
-    sendJson(res, 409, { ok: false, message: "请勿重复提交，我们会尽快联系您" });
-    return;
+  if (!requestedBy) {
+    sendJson(res, 400, { ok: false, message: "请填写处理人 requestedBy" });
+    return null;
   }
-
-  const record = {
-    id: randomUUID(),
+  return {
     phone,
-    source,
-    createdAt: new Date().toISOString(),
+    audit: {
+      id: randomUUID(),
+      phone: maskPhone(phone),
+      phoneHash: sha256Hex(`privacy:${phone}`),
+      requestedBy,
+      reason: normalizeText(body.reason, 200),
+      ip: getClientIp(req),
+      requestedAt: new Date().toISOString(),
+    },
   };
+}
+
+function countPersonalData(data) {
+  return Object.fromEntries(Object.entries(data).map(([name, rows]) => [name, rows.length]));
+}
+
+async function handlePrivacyAccess(req, res) {
+  const request = await readPrivacyRequest(req, res);
+  if (!request) return;
+  let data = {};
+  const result = await withPrivacyAudit({ ...request.audit, action: "access" }, async () => {
+    data = await collectLocalPersonalData(request.phone);
+    let feishuError = "";
+    if (hasFeishuConfig()) {
+      try {
+        data.feishu = await collectFeishuPersonalData(request.phone);
+      } catch (error) {
+        console.error("privacy_access_feishu_failed", error);
+        feishuError = mapFeishuErrorMessage(error);
+      }
+    }
+    return { status: feishuError ? "partial" : "ok", counts: countPersonalData(data), error: feishuError };
+  });
+  sendJson(res, result.error ? 502 : 200, {
+    ok: !result.error,
+    message: result.error || "查询完成",
+    requestId: request.audit.id,
+    counts: result.counts,
+    data,
+  });
+}
+
+async function handlePrivacyErase(req, res) {
+  const request = await readPrivacyRequest(req, res);
+  if (!request) return;
+  const notes = ACTIVE_LEAD_SINKS.includes("webhook") ? ["Webhook 接收方已收到的数据需另行通知删除"] : [];
+  const result = await withPrivacyAudit({ ...request.audit, action: "erase", notes }, () =>
+    withLeadOutboxPaused(async () => {
+      const removed = await eraseLocalPersonalData(request.phone);
+      if (!hasFeishuConfig()) return { status: "ok", counts: removed };
+      try {
+        const records = await collectFeishuPersonalData(request.phone);
+        for (const tableId of new Set(records.map((record) => record.tableId))) {
+          await deleteFeishuRecords(
+            tableId,
+            records.filter((record) => record.tableId === tableId).map((record) => record.recordId),
+          );
+        }
+        removed.feishu = records.length;
+        return { status: "ok", counts: removed };
+      } catch (error) {
+        console.error("privacy_erase_feishu_failed", error);
+        return { status: "partial", counts: removed, error: mapFeishuErrorMessage(error) };
+      }
+    }),
+  );
+  sendJson(res, result.error ? 502 : 200, {
+    ok: !result.error,
+    message: result.error ? `本地数据已删除，飞书删除失败：${result.error}` : "删除完成",
+    requestId: request.audit.id,
+    removed: result.counts,
+    notes,
+  });
+}
 
-  await syncPhoneLeadToFeishu(record);
-  markDuplicateSubmission(duplicateKey);
-  sendJson(res, 201, { ok: true, message: "提交成功" });
+async function handlePrivacyAudit(req, res, url) {
+  const limit = clampNumber(url.searchParams.get("limit") || 100, 1, 1000, 100);
+  const rows = await readJsonLinesFile(PRIVACY_AUDIT_FILE);
+  const entries = rows.map((row) => row.entry).filter(Boolean).slice(-limit).reverse();
+  sendJson(res, 200, { ok: true, entries });
 }
 
 async function handleApi(req, res, url) {
@@ -870,35 +5167,106 @@ async function handleApi(req, res, url) {
     return true;
   }
 
+  // 投递目标、出错信息和表结构只给管理员看
+  if (req.method === "GET" && url.pathname === "/api/admin/health") {
+    if (!requireAdminToken(req, res)) return true;
+    sendJson(res, 200, {
+      ok: true,
+      time: new Date().toISOString(),
+      feishu: getFeishuHealth(),
+      sinks: getLeadSinkStatus(),
+      outbox: getLeadOutboxStats(),
+      routing: getLeadRoutingStatus(),
+    });
+    return true;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/forms/token") {
+    handleFormTokenRequest(req, res, url);
+    return true;
+  }
+
   if (req.method === "GET" && url.pathname === "/api/consultation/articles") {
-    const shouldRefresh = url.searchParams.get("refresh") === "1";
-    if (
-      CONSULTATION_ARTICLE_LINKS.length > 0 &&
-      (consultationArticlesCache.items.length === 0 || shouldRefresh)
-    ) {
-      try {
-        await syncConsultationArticles();
-      } catch (error) {
-        console.error("consultation_article_sync_failed", error);
+    handleConsultationArticles(req, res, url);
+    return true;
+  }
+
+  const articleMatch = url.pathname.match(/^\/api\/consultation\/articles\/([a-f0-9]{16})$/);
+  if (req.method === "GET" && articleMatch) {
+    await handleConsultationArticleDetail(req, res, articleMatch[1]);
+    return true;
+  }
+
+  if (
+    (req.method === "GET" || req.method === "HEAD") &&
+    ["/feed.xml", "/atom.xml", "/sitemap.xml", "/robots.txt"].includes(url.pathname)
+  ) {
+    await handleSiteDocument(req, res, url);
+    return true;
+  }
+
+  const articlePageMatch = url.pathname.match(/^\/articles\/([a-f0-9]{16})$/);
+  if ((req.method === "GET" || req.method === "HEAD") && articlePageMatch) {
+    await handleConsultationArticlePage(req, res, url, articlePageMatch[1]);
+    return true;
+  }
+
+  if ((req.method === "GET" || req.method === "HEAD") && url.pathname === "/api/consultation/image") {
+    await handleConsultationImage(req, res, url);
+    return true;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/verify/send") {
+    try {
+      await handleVerifySend(req, res, url);
+      return true;
+    } catch (error) {
+      if (error.message === "payload_too_large") {
+        sendJson(res, 413, { ok: false, message: "请求体过大" });
+        return true;
+      }
+      if (error.message === "invalid_json") {
+        sendJson(res, 400, { ok: false, message: "JSON格式错误" });
+        return true;
       }
+      console.error("verify_send_failed", error);
+      sendJson(res, 500, { ok: false, message: "验证码发送失败，请稍后重试" });
+      return true;
+    }
+  }
+
+  // 旧的两个提交地址保留为对应表单的别名
+  const leadFormAliases = { "/api/leads/consultation": "consultation", "/api/leads/phone": "phone" };
+  const formMatch = /^\/api\/forms\/([a-z][a-z0-9-]{1,31})(\/submit)?$/.exec(url.pathname);
+  const submitFormId = formMatch?.[2] ? formMatch[1] : leadFormAliases[url.pathname];
+
+  if (req.method === "GET" && formMatch && !formMatch[2]) {
+    const form = LEAD_FORMS[formMatch[1]];
+    if (!form) {
+      sendJson(res, 404, { ok: false, message: "表单不存在" });
+      return true;
     }
     sendJson(res, 200, {
       ok: true,
-      items: consultationArticlesCache.items,
-      updatedAt: consultationArticlesCache.updatedAt || consultationArticlesCache.lastSuccessAt || "",
-      sourceCount: CONSULTATION_ARTICLE_LINKS.length,
-      message: consultationArticlesCache.error || "",
+      form: getPublicLeadForm(form),
+      smsRequired: isSmsVerificationEnabled(),
+      privacyPolicyVersion: PRIVACY_POLICY_VERSION,
     });
     return true;
   }
 
-  if (req.method === "POST" && url.pathname === "/api/leads/consultation") {
-    if (!hasFeishuConfig()) {
-      sendJson(res, 500, { ok: false, message: "飞书配置缺失，请检查环境变量" });
+  if (req.method === "POST" && submitFormId) {
+    const form = LEAD_FORMS[submitFormId];
+    if (!form) {
+      sendJson(res, 404, { ok: false, message: "表单不存在" });
+      return true;
+    }
+    if (!hasLeadSinkConfig()) {
+      sendJson(res, 500, { ok: false, message: "线索存储配置缺失，请检查环境变量" });
       return true;
     }
     try {
-      await handleConsultationSubmit(req, res, url);
+      await handleLeadFormSubmit(req, res, url, form);
       return true;
     } catch (error) {
       if (error.message === "payload_too_large") {
@@ -909,20 +5277,50 @@ async function handleApi(req, res, url) {
         sendJson(res, 400, { ok: false, message: "JSON格式错误" });
         return true;
       }
-      console.error("consultation_submit_failed", error);
-      sendJson(res, 502, { ok: false, message: mapFeishuErrorMessage(error) });
+      console.error("lead_submit_failed", form.id, error);
+      sendJson(res, 500, { ok: false, message: "提交失败，请稍后重试" });
       return true;
     }
   }
 
-  if (req.method === "POST" && url.pathname === "/api/leads/phone") {
+  const adminRoutes = {
+    "/api/leads": handleAdminLeadList,
+    "/api/admin/leads": handleAdminLeadList,
+    "/api/admin/stats": handleAdminStats,
+    "/api/admin/export": handleAdminExport,
+  };
+  if (req.method === "GET" && adminRoutes[url.pathname]) {
+    if (!requireAdminToken(req, res)) return true;
     if (!hasFeishuConfig()) {
-      sendJson(res, 500, { ok: false, message: "飞书配置缺失，请检查环境变量" });
+      sendJson(res, 503, { ok: false, message: "飞书配置缺失，无法查询线索" });
       return true;
     }
     try {
-      await handlePhoneLeadSubmit(req, res, url);
-      return true;
+      await adminRoutes[url.pathname](req, res, url);
+    } catch (error) {
+      console.error("admin_query_failed", error);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        sendJson(res, 502, { ok: false, message: mapFeishuErrorMessage(error) });
+      }
+    }
+    return true;
+  }
+
+  const consultationAdminRoutes = {
+    "POST /api/admin/consultation/refresh": handleConsultationRefresh,
+    "GET /api/admin/consultation/articles": handleConsultationArticleList,
+    "POST /api/admin/consultation/articles": handleConsultationArticleAdd,
+    "PATCH /api/admin/consultation/articles": handleConsultationArticleUpdate,
+    "DELETE /api/admin/consultation/articles": handleConsultationArticleRemove,
+    "PUT /api/admin/consultation/articles/order": handleConsultationArticleOrder,
+  };
+  const consultationAdminHandler = consultationAdminRoutes[`${req.method} ${url.pathname}`];
+  if (consultationAdminHandler) {
+    if (!requireAdminToken(req, res)) return true;
+    try {
+      await consultationAdminHandler(req, res, url);
     } catch (error) {
       if (error.message === "payload_too_large") {
         sendJson(res, 413, { ok: false, message: "请求体过大" });
@@ -932,35 +5330,199 @@ async function handleApi(req, res, url) {
         sendJson(res, 400, { ok: false, message: "JSON格式错误" });
         return true;
       }
-      console.error("phone_submit_failed", error);
-      sendJson(res, 502, { ok: false, message: mapFeishuErrorMessage(error) });
-      return true;
+      console.error("consultation_admin_failed", error);
+      sendJson(res, 500, { ok: false, message: "处理失败，请稍后重试" });
     }
+    return true;
   }
 
-  if (req.method === "GET" && url.pathname === "/api/leads") {
-    sendJson(res, 410, { ok: false, message: "已切换为飞书多维表格存储，请在飞书中查看线索数据" });
+  const privacyRoutes = {
+    "POST /api/admin/privacy/access": handlePrivacyAccess,
+    "POST /api/admin/privacy/erase": handlePrivacyErase,
+    "GET /api/admin/privacy/audit": handlePrivacyAudit,
+  };
+  const privacyHandler = privacyRoutes[`${req.method} ${url.pathname}`];
+  if (privacyHandler) {
+    if (!requireAdminToken(req, res)) return true;
+    try {
+      await privacyHandler(req, res, url);
+    } catch (error) {
+      if (error.message === "payload_too_large") {
+        sendJson(res, 413, { ok: false, message: "请求体过大" });
+        return true;
+      }
+      if (error.message === "invalid_json") {
+        sendJson(res, 400, { ok: false, message: "JSON格式错误" });
+        return true;
+      }
+      console.error("privacy_request_failed", error);
+      sendJson(res, 500, { ok: false, message: "处理失败，请稍后重试" });
+    }
     return true;
   }
 
-  if (req.method === "GET" && url.pathname.startsWith("/api/admin/")) {
-    sendJson(res, 410, { ok: false, message: "已切换为飞书多维表格存储，请在飞书中查看和筛选数据" });
+  if (url.pathname.startsWith("/api/admin/")) {
+    sendJson(res, 404, { ok: false, message: "接口不存在" });
     return true;
   }
 
   return false;
 }
 
+// 后端代码和 data 目录里的线索、审计等文件，以及 .git、.env 这类隐藏文件都不对外提供
 function resolvePublicPath(urlPathname) {
-  const cleanPath = decodeURIComponent(urlPathname).replace(/\/+$/, "") || "/";
+  let cleanPath;
+  try {
+    cleanPath = decodeURIComponent(urlPathname).replace(/\/+$/, "") || "/";
+  } catch {
+    return null;
+  }
   const requested = cleanPath === "/" ? "index.html" : cleanPath.replace(/^\/+/, "");
   const normalized = path.normalize(requested);
   const absolutePath = path.join(WEB_ROOT, normalized);
-  if (!absolutePath.startsWith(WEB_ROOT)) return null;
+  const relativePath = path.relative(WEB_ROOT, absolutePath);
+  if (!relativePath || relativePath.startsWith("..") || path.isAbsolute(relativePath)) return null;
+  const segments = relativePath.split(path.sep);
+  if (segments[0].toLowerCase() === "backend" || segments.some((segment) => segment.startsWith("."))) return null;
   return absolutePath;
 }
 
+// ETag 由文件大小和修改时间组成；压缩后的内容按编码区分，各自是强 ETag
+function staticFileEtag(stat, encoding = "") {
+  const version = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+  return encoding ? `"${version}-${encoding}"` : `"${version}"`;
+}
+
+// 按 Accept-Encoding 的 q 值选择压缩格式；q 为 0 表示不接受，* 匹配未列出的编码
+function negotiateContentEncoding(header) {
+  const weights = new Map();
+  for (const part of String(header || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    if (!name) continue;
+    const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    weights.set(name, Number.isFinite(q) ? q : 0);
+  }
+  let best = "";
+  let bestWeight = 0;
+  for (const encoding of STATIC_ENCODINGS) {
+    const weight = weights.has(encoding) ? weights.get(encoding) : weights.get("*") || 0;
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+function compressBuffer(buffer, encoding) {
+  return new Promise((resolve, reject) => {
+    const done = (error, result) => (error ? reject(error) : resolve(result));
+    if (encoding === "br") {
+      zlib.brotliCompress(
+        buffer,
+        {
+          params: {
+            [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+            [zlib.constants.BROTLI_PARAM_QUALITY]: STATIC_BROTLI_QUALITY,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+          },
+        },
+        done,
+      );
+    } else {
+      zlib.gzip(buffer, { level: STATIC_GZIP_LEVEL }, done);
+    }
+  });
+}
+
+function storeCompressedStaticFile(key, entry) {
+  const previous = staticCompressionCache.entries.get(key);
+  if (previous) {
+    staticCompressionCache.entries.delete(key);
+    staticCompressionCache.bytes -= previous.body.length;
+  }
+  if (entry.body.length > STATIC_COMPRESSION_CACHE_BYTES) return;
+  staticCompressionCache.entries.set(key, entry);
+  staticCompressionCache.bytes += entry.body.length;
+  for (const [oldestKey, oldest] of staticCompressionCache.entries) {
+    if (staticCompressionCache.bytes <= STATIC_COMPRESSION_CACHE_BYTES) break;
+    staticCompressionCache.entries.delete(oldestKey);
+    staticCompressionCache.bytes -= oldest.body.length;
+  }
+}
+
+// 文件大小或修改时间变了即视为新版本，重新压缩；同一版本的并发请求共用一次压缩
+async function getCompressedStaticFile(filePath, stat, encoding) {
+  const key = `${encoding}:${filePath}`;
+  const version = `${stat.size}-${stat.mtimeMs}`;
+  const cached = staticCompressionCache.entries.get(key);
+  if (cached?.version === version) {
+    staticCompressionCache.entries.delete(key);
+    staticCompressionCache.entries.set(key, cached);
+    return cached.body;
+  }
+  const inflightKey = `${key}:${version}`;
+  if (!staticCompressionCache.inflight.has(inflightKey)) {
+    const task = fs
+      .readFile(filePath)
+      .then((raw) => {
+        // stat 之后文件又被改写时不缓存，交给下一次请求按新版本处理
+        if (raw.length !== stat.size) throw new Error("static_file_changed");
+        return compressBuffer(raw, encoding);
+      })
+      .then((body) => {
+        storeCompressedStaticFile(key, { version, body });
+        return body;
+      })
+      .finally(() => staticCompressionCache.inflight.delete(inflightKey));
+    staticCompressionCache.inflight.set(inflightKey, task);
+  }
+  return staticCompressionCache.inflight.get(inflightKey);
+}
+
+// 带 If-None-Match 时忽略 If-Modified-Since
+function isStaticNotModified(req, etag, stat) {
+  if (String(req.headers["if-none-match"] || "").trim()) return matchesIfNoneMatch(req, etag);
+  const sinceMs = Date.parse(req.headers["if-modified-since"] || "");
+  // Last-Modified 只精确到秒
+  return Number.isFinite(sinceMs) && Math.floor(stat.mtimeMs / 1000) * 1000 <= sinceMs;
+}
+
+// 只支持单段 Range；多段或格式不对时返回 null，按完整内容响应
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0 || size === 0) return { unsatisfiable: true };
+    return { start: Math.max(0, size - suffixLength), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : Infinity;
+  if (end < start) return null;
+  if (start >= size) return { unsatisfiable: true };
+  return { start, end: Math.min(end, size - 1) };
+}
+
+// If-Range 按强比较，弱 ETag 永远不匹配；与当前版本不一致时忽略 Range，返回完整的新内容
+function isRangeFresh(req, etag, lastModified) {
+  const ifRange = String(req.headers["if-range"] || "").trim();
+  if (!ifRange) return true;
+  if (ifRange.startsWith("W/")) return false;
+  return ifRange.startsWith('"') ? ifRange === etag : ifRange === lastModified;
+}
+
 async function serveStatic(req, res, url) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, {
+      Allow: "GET, HEAD",
+      "Content-Type": "text/plain; charset=utf-8",
+      "Cache-Control": "no-store",
+    });
+    res.end("Method Not Allowed");
+    return;
+  }
   const filePath = resolvePublicPath(url.pathname);
   if (!filePath) {
     sendText(res, 403, "Forbidden");
@@ -981,15 +5543,72 @@ async function serveStatic(req, res, url) {
       "Cache-Control": LONG_CACHE_EXTS.has(ext) ? "public, max-age=604800, immutable" : "no-cache",
     };
 
-    const acceptEncoding = String(req.headers["accept-encoding"] || "");
-    const useGzip = COMPRESSIBLE_EXTS.has(ext) && acceptEncoding.includes("gzip");
-    if (useGzip) {
-      headers["Content-Encoding"] = "gzip";
-      headers["Vary"] = "Accept-Encoding";
+    // 太小的文件压缩收益不大，太大的文件不占用内存缓存，都按原文件发送
+    const compressible =
+      COMPRESSIBLE_EXTS.has(ext) &&
+      stat.size >= STATIC_COMPRESSION_MIN_BYTES &&
+      stat.size <= STATIC_COMPRESSION_MAX_BYTES;
+    let encoding = compressible ? negotiateContentEncoding(req.headers["accept-encoding"]) : "";
+    const lastModified = stat.mtime.toUTCString();
+    let etag = staticFileEtag(stat, encoding);
+    headers.ETag = etag;
+    headers["Last-Modified"] = lastModified;
+    if (COMPRESSIBLE_EXTS.has(ext)) headers["Vary"] = "Accept-Encoding";
+
+    if (isStaticNotModified(req, etag, stat)) {
+      const { "Content-Type": _contentType, ...notModifiedHeaders } = headers;
+      res.writeHead(304, notModifiedHeaders);
+      res.end();
+      return;
+    }
+
+    let compressedBody = null;
+    if (encoding) {
+      try {
+        compressedBody = await getCompressedStaticFile(filePath, stat, encoding);
+      } catch (error) {
+        console.error("static_compress_failed", filePath, error.message);
+        encoding = "";
+        etag = staticFileEtag(stat);
+        headers.ETag = etag;
+      }
+    }
+
+    let statusCode = 200;
+    let range = null;
+    if (compressedBody) {
+      headers["Content-Encoding"] = encoding;
+      headers["Content-Length"] = compressedBody.length;
+    } else {
+      // 未压缩的文件支持断点续传和视频拖动
+      headers["Accept-Ranges"] = "bytes";
+      if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+        range = parseByteRange(req.headers.range, stat.size);
+      }
+      if (range?.unsatisfiable) {
+        res.writeHead(416, { ...headers, "Content-Range": `bytes */${stat.size}` });
+        res.end();
+        return;
+      }
+      if (range) {
+        statusCode = 206;
+        headers["Content-Range"] = `bytes ${range.start}-${range.end}/${stat.size}`;
+        headers["Content-Length"] = range.end - range.start + 1;
+      } else {
+        headers["Content-Length"] = stat.size;
+      }
     }
 
-    res.writeHead(200, headers);
-    const fileStream = fsNative.createReadStream(filePath);
+    res.writeHead(statusCode, headers);
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    if (compressedBody) {
+      res.end(compressedBody);
+      return;
+    }
+    const fileStream = fsNative.createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
     fileStream.on("error", () => {
       if (!res.headersSent) {
         sendText(res, 500, "Server Error");
@@ -997,12 +5616,7 @@ async function serveStatic(req, res, url) {
         res.destroy();
       }
     });
-
-    if (useGzip) {
-      fileStream.pipe(zlib.createGzip({ level: 6 })).pipe(res);
-    } else {
-      fileStream.pipe(res);
-    }
+    fileStream.pipe(res);
   } catch {
     sendText(res, 404, "Not Found");
   }
@@ -1019,10 +5633,40 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-initConsultationArticleSync().catch((error) => {
-  console.error("consultation_article_sync_init_failed", error);
-});
+function startServer() {
+  // 先校验（并按需补建）字段，再开始投递积压的线索
+  checkFeishuSchema().finally(() => drainLeadOutbox());
 
-server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+  initConsultationArticleSync().catch((error) => {
+    console.error("consultation_article_sync_init_failed", error);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+}
+
+if (require.main !== module) {
+  module.exports = {
+    parseTrustedProxies,
+    issueFormToken,
+    checkFormGuard,
+    consumeFormToken,
+    smsCodeStore,
+    hashSmsCode,
+    checkSmsCode,
+    consumeSmsCode,
+    downloadConsultationImage,
+    sanitizeArticleHtml,
+  };
+} else if (process.argv[2] === "export") {
+  runExportCli(process.argv.slice(3)).then(
+    (code) => process.exit(code),
+    (error) => {
+      console.error(mapFeishuErrorMessage(error));
+      process.exit(1);
+    },
+  );
+} else {
+  startServer();
+}
@@ -0,0 +1,78 @@
+process.env.CONSULTATION_IMAGE_HOSTS = "mmbiz.qpic.cn";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeArticleHtml } = require("../server.js");
+
+const BASE_URL = "https://mp.weixin.qq.com/s/abc";
+
+test("去掉样式、class 和事件属性", () => {
+  const { html } = sanitizeArticleHtml(
+    '<p style="color:red" class="x" onclick="alert(1)">正文<span onmouseover="x()">强调</span></p>',
+    BASE_URL,
+  );
+  assert.equal(html, "<p>正文<span>强调</span></p>");
+});
+
+test("脚本、样式和 iframe 连同内容一起丢弃", () => {
+  const { html } = sanitizeArticleHtml(
+    '<p>a</p><script>alert(1)</script><style>p{}</style><iframe src="https://evil.example"><p>x</p></iframe><p>b</p>',
+    BASE_URL,
+  );
+  assert.equal(html, "<p>a</p><p>b</p>");
+});
+
+test("嵌套的同名丢弃标签按层数找到结束位置", () => {
+  const { html } = sanitizeArticleHtml("<svg><svg><text>x</text></svg>y</svg><p>保留</p>", BASE_URL);
+  assert.equal(html, "<p>保留</p>");
+});
+
+test("链接只保留 http(s)", () => {
+  const { html } = sanitizeArticleHtml(
+    '<a href="javascript:alert(1)">x</a><a href="/s/next">y</a><a href="data:text/html,1">z</a>',
+    BASE_URL,
+  );
+  assert.equal(
+    html,
+    '<a>x</a><a href="https://mp.weixin.qq.com/s/next" target="_blank" rel="noopener noreferrer nofollow">y</a><a>z</a>',
+  );
+});
+
+test("属性值中的引号和尖括号不能闭合属性", () => {
+  const { html } = sanitizeArticleHtml(
+    `<a href='https://example.com/?q="><script>'>x</a><img src="https://cdn.example.com/c.png" alt='"><b onclick=x>' />`,
+    BASE_URL,
+  );
+  assert.doesNotMatch(html, /<script|<b |onclick=x>/);
+  assert.match(html, /^<a href="https:\/\/example\.com\/\?q=%22%3E%3Cscript%3E"/);
+  assert.match(html, /alt="&quot;&gt;&lt;b onclick=x&gt;"/);
+});
+
+test("图片取 data-src，白名单域名改走代理，其他域名不带 Referer", () => {
+  const { html, images } = sanitizeArticleHtml(
+    '<img data-src="https://mmbiz.qpic.cn/a.png" src="data:image/gif;base64,x" onerror="x()" />' +
+      '<img src="https://cdn.example.com/b.png" alt="图" /><img src="javascript:alert(1)" />',
+    BASE_URL,
+  );
+  assert.equal(
+    html,
+    '<img src="/api/consultation/image?url=https%3A%2F%2Fmmbiz.qpic.cn%2Fa.png" alt="" loading="lazy" />' +
+      '<img src="https://cdn.example.com/b.png" alt="图" loading="lazy" referrerpolicy="no-referrer" />',
+  );
+  assert.deepEqual(images, ["https://mmbiz.qpic.cn/a.png", "https://cdn.example.com/b.png"]);
+});
+
+test("h1 降为 h2，未闭合的标签补齐，多余的结束标签忽略", () => {
+  const { html } = sanitizeArticleHtml("<h1>标题</h1><ul><li>一<li>二</ul></p><blockquote>引用", BASE_URL);
+  assert.equal(html, "<h2>标题</h2><ul><li>一<li>二</li></li></ul><blockquote>引用</blockquote>");
+});
+
+test("注释和不在白名单里的标签被去掉，文本里的 < 被转义", () => {
+  const { html } = sanitizeArticleHtml("<!-- <script>x</script> --><custom-tag>1 < 2</custom-tag>", BASE_URL);
+  assert.equal(html, "1 &lt; 2");
+});
+
+test("表格只保留数字的 colspan 和 rowspan", () => {
+  const { html } = sanitizeArticleHtml('<table><tr><td colspan="2" rowspan="x" width="9">a</td></tr></table>', BASE_URL);
+  assert.equal(html, '<table><tr><td colspan="2">a</td></tr></table>');
+});
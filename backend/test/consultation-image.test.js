@@ -0,0 +1,64 @@
+process.env.CONSULTATION_IMAGE_HOSTS = "localhost";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { once } = require("node:events");
+const { downloadConsultationImage } = require("../server.js");
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+test("跟随跳转时每一跳都重新校验域名", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { port } = server.address();
+    if (req.url === "/image.png") {
+      res.writeHead(200, { "Content-Type": "image/png" });
+      res.end(PNG);
+    } else if (req.url === "/to-image") {
+      res.writeHead(302, { Location: "/image.png" });
+      res.end();
+    } else if (req.url === "/to-ip") {
+      res.writeHead(302, { Location: `http://127.0.0.1:${port}/image.png` });
+      res.end();
+    } else if (req.url === "/loop") {
+      res.writeHead(302, { Location: "/loop" });
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  await t.test("允许域名内的跳转", async () => {
+    const image = await downloadConsultationImage(`${base}/to-image`);
+    assert.equal(image.contentType, "image/png");
+    assert.deepEqual(image.body, PNG);
+  });
+
+  await t.test("跳到白名单以外的主机时不再请求", async () => {
+    requests.length = 0;
+    await assert.rejects(downloadConsultationImage(`${base}/to-ip`), { message: "image_host_not_allowed" });
+    assert.deepEqual(requests, ["/to-ip"]);
+  });
+
+  await t.test("超过跳转次数上限", async () => {
+    requests.length = 0;
+    await assert.rejects(downloadConsultationImage(`${base}/loop`), { message: "image_too_many_redirects" });
+    assert.equal(requests.length, 4);
+  });
+
+  await t.test("起始地址不在白名单时不发请求", async () => {
+    requests.length = 0;
+    const port = server.address().port;
+    await assert.rejects(downloadConsultationImage(`http://127.0.0.1:${port}/image.png`), {
+      message: "image_host_not_allowed",
+    });
+    assert.deepEqual(requests, []);
+  });
+});
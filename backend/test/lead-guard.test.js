@@ -0,0 +1,70 @@
+process.env.FORM_TOKEN_SECRET = "test-secret";
+process.env.FORM_MIN_FILL_SECONDS = "0";
+process.env.SMS_PROVIDER = "console";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  issueFormToken,
+  checkFormGuard,
+  consumeFormToken,
+  smsCodeStore,
+  hashSmsCode,
+  checkSmsCode,
+  consumeSmsCode,
+} = require("../server.js");
+
+function seedSmsCode(phone, code, now = Date.now()) {
+  smsCodeStore.set(phone, {
+    hash: hashSmsCode(phone, code),
+    sentAtMs: now,
+    expiresAtMs: now + 5 * 60 * 1000,
+    attempts: 0,
+    used: false,
+  });
+}
+
+test("校验表单令牌不占用，占用后同一令牌不能再次通过", () => {
+  const { token } = issueFormToken("203.0.113.5", "/index.html");
+  const body = { formToken: token, sourcePage: "/index.html" };
+  assert.equal(checkFormGuard(body, "203.0.113.5"), null);
+  assert.equal(checkFormGuard(body, "203.0.113.5"), null);
+  assert.equal(consumeFormToken(body), true);
+  assert.equal(consumeFormToken(body), false);
+  assert.equal(checkFormGuard(body, "203.0.113.5").reason, "token_reused");
+});
+
+test("校验短信验证码不作废，被拒的提交可以用同一验证码重试", () => {
+  seedSmsCode("13800000001", "123456");
+  assert.equal(checkSmsCode("13800000001", "123456"), null);
+  // 例如重复提交返回 409 后，再次提交仍能通过校验
+  assert.equal(checkSmsCode("13800000001", "123456"), null);
+  assert.equal(consumeSmsCode("13800000001"), true);
+  assert.equal(checkSmsCode("13800000001", "123456"), "missing");
+  assert.equal(consumeSmsCode("13800000001"), false);
+});
+
+test("令牌已被占用时验证码保持可用", () => {
+  seedSmsCode("13800000002", "654321");
+  const { token } = issueFormToken("203.0.113.6", "/about.html");
+  const body = { formToken: token, sourcePage: "/about.html" };
+  assert.equal(consumeFormToken(body), true);
+  assert.equal(checkSmsCode("13800000002", "654321"), null);
+  assert.equal(consumeFormToken(body), false);
+  assert.equal(checkSmsCode("13800000002", "654321"), null);
+});
+
+test("输错验证码计入次数，达到上限后锁定", () => {
+  seedSmsCode("13800000003", "111111");
+  for (let attempt = 1; attempt < 5; attempt += 1) {
+    assert.equal(checkSmsCode("13800000003", "000000"), "mismatch");
+  }
+  assert.equal(checkSmsCode("13800000003", "000000"), "locked");
+  assert.equal(checkSmsCode("13800000003", "111111"), "locked");
+});
+
+test("验证码过期后不能通过", () => {
+  const now = Date.now();
+  seedSmsCode("13800000004", "222222", now - 10 * 60 * 1000);
+  assert.equal(checkSmsCode("13800000004", "222222", now), "expired");
+});
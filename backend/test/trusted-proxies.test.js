@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTrustedProxies } = require("../server.js");
+
+test("按 CIDR 和单个地址匹配可信代理", () => {
+  const list = parseTrustedProxies("10.0.0.0/24, 127.0.0.1, fd00::/64");
+  assert.equal(list.check("10.0.0.200", "ipv4"), true);
+  assert.equal(list.check("10.0.1.1", "ipv4"), false);
+  assert.equal(list.check("127.0.0.1", "ipv4"), true);
+  assert.equal(list.check("127.0.0.2", "ipv4"), false);
+  assert.equal(list.check("fd00::1", "ipv6"), true);
+  assert.equal(list.check("fd01::1", "ipv6"), false);
+});
+
+test("跳过前缀越界或格式错误的条目", (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  const list = parseTrustedProxies("10.0.0.0/33, ::/129, 10.0.0.0/8/1, not-an-ip, 10.0.0.0/x, 192.168.1.0/24");
+  assert.equal(errors.mock.callCount(), 5);
+  assert.equal(list.check("10.1.2.3", "ipv4"), false);
+  assert.equal(list.check("2001:db8::1", "ipv6"), false);
+  assert.equal(list.check("192.168.1.9", "ipv4"), true);
+});
+
+test("未配置时不信任任何代理", () => {
+  const list = parseTrustedProxies("");
+  assert.equal(list.check("127.0.0.1", "ipv4"), false);
+});
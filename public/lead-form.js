@@ -0,0 +1,208 @@
+// 线索表单公共脚本，首页、关于、帮助、产品和资讯页共用
+
+// 营销归因：记录首次和最近一次带来源的访问，提交线索时连同点击的入口一并上报
+const LEAD_ATTRIBUTION_KEY = "fq_lead_attribution";
+const readLeadTouches = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(LEAD_ATTRIBUTION_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+};
+const recordLeadTouch = () => {
+  const params = new URLSearchParams(window.location.search);
+  let referrer = "";
+  try {
+    if (document.referrer && new URL(document.referrer).host !== window.location.host) referrer = document.referrer;
+  } catch {
+    referrer = "";
+  }
+  const touch = {
+    utmSource: params.get("utm_source") || "",
+    utmMedium: params.get("utm_medium") || "",
+    utmCampaign: params.get("utm_campaign") || "",
+    utmTerm: params.get("utm_term") || "",
+    utmContent: params.get("utm_content") || "",
+    referrer,
+    landingPage: `${window.location.pathname}${window.location.search}`,
+    at: new Date().toISOString(),
+  };
+  const touches = readLeadTouches();
+  if (!touches.firstTouch) touches.firstTouch = touch;
+  // 站内跳转和直接访问不覆盖最近一次的渠道来源
+  if (!touches.lastTouch || touch.utmSource || touch.utmMedium || touch.utmCampaign || referrer) {
+    touches.lastTouch = touch;
+  }
+  try {
+    window.localStorage.setItem(LEAD_ATTRIBUTION_KEY, JSON.stringify(touches));
+  } catch {
+    // 无痕模式等场景下无法持久化，提交时退回到本次访问
+  }
+  return touches;
+};
+const currentLeadTouches = recordLeadTouch();
+// 最近点击的咨询入口，页面脚本也可以直接赋值（如资讯页按链接参数指定）
+let lastLeadCta = "";
+document.addEventListener(
+  "click",
+  (event) => {
+    const trigger = event.target.closest ? event.target.closest("[data-cta], [id^='openConsult']") : null;
+    if (trigger) lastLeadCta = trigger.dataset.cta || trigger.id;
+  },
+  true,
+);
+const buildLeadAttribution = (cta) => {
+  const touches = { ...currentLeadTouches, ...readLeadTouches() };
+  return {
+    cta: cta || lastLeadCta,
+    firstTouch: touches.firstTouch || null,
+    lastTouch: touches.lastTouch || null,
+  };
+};
+
+// 表单防护：页面加载时领取表单令牌，提交时附带令牌、工作量证明、蜜罐字段和短信验证码
+const leadGuard = { token: "", challenge: null, privacyPolicyVersion: "" };
+const refreshLeadGuard = async () => {
+  try {
+    const response = await fetch(`/api/forms/token?page=${encodeURIComponent(window.location.pathname)}`);
+    const result = await response.json();
+    if (!response.ok || !result.ok) return;
+    leadGuard.token = result.token || "";
+    leadGuard.challenge = result.challenge || null;
+    leadGuard.privacyPolicyVersion = result.privacyPolicyVersion || "";
+    if (result.smsRequired) showSmsRows();
+  } catch {
+    // 令牌领取失败时照常提交，由服务端决定是否放行
+  }
+};
+const hasLeadingZeroBits = (bytes, bits) => {
+  for (let index = 0; index < bits; index += 1) {
+    if (bytes[index >> 3] & (0x80 >> (index & 7))) return false;
+  }
+  return true;
+};
+const solveLeadChallenge = async (challenge) => {
+  if (!challenge || !challenge.difficulty || !window.crypto || !window.crypto.subtle) return "";
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce += 1) {
+    const digest = await window.crypto.subtle.digest("SHA-256", encoder.encode(`${challenge.salt}:${nonce}`));
+    if (hasLeadingZeroBits(new Uint8Array(digest), challenge.difficulty)) return String(nonce);
+  }
+};
+const buildLeadGuardFields = async (form) => {
+  const honeypot = form.querySelector('input[name="website"]');
+  const smsCode = form.querySelector('input[name="smsCode"]');
+  return {
+    formToken: leadGuard.token,
+    powNonce: await solveLeadChallenge(leadGuard.challenge),
+    website: honeypot ? honeypot.value : "",
+    smsCode: smsCode ? smsCode.value.trim() : "",
+  };
+};
+
+// 带防护字段发送请求；提交过快时按服务端给的等待时间用同一令牌重试一次
+const postLeadGuarded = async (url, form, payload) => {
+  for (let attempt = 0; ; attempt += 1) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ...payload,
+        ...(await buildLeadGuardFields(form)),
+      }),
+    });
+    const result = await response.json();
+    if (response.status === 429 && result.retryAfterMs && attempt === 0) {
+      await new Promise((resolve) => setTimeout(resolve, Number(result.retryAfterMs)));
+      continue;
+    }
+    return { response, result };
+  }
+};
+
+// 提交线索期间禁用提交按钮，等新令牌领到后才允许再次提交
+const submitLeadForm = async (url, form, payload) => {
+  const submitButton = form.querySelector('button[type="submit"]');
+  if (submitButton) submitButton.disabled = true;
+  try {
+    return await postLeadGuarded(url, form, payload);
+  } finally {
+    await refreshLeadGuard();
+    if (submitButton) submitButton.disabled = false;
+  }
+};
+
+// 短信验证码：启用后显示验证码输入行，发送同样需要表单令牌
+const showSmsRows = () => {
+  document.querySelectorAll("[data-sms-row]").forEach((row) => {
+    row.classList.remove("hidden");
+    row.classList.add("flex");
+  });
+};
+document.querySelectorAll("[data-sms-send]").forEach((button) => {
+  const defaultLabel = button.textContent.trim();
+  const form = button.closest("form");
+  const messageNode = document.getElementById(button.dataset.smsMessage);
+  const startCooldown = (seconds) => {
+    let left = seconds;
+    button.disabled = true;
+    button.textContent = `${left}s 后重发`;
+    const timer = setInterval(() => {
+      left -= 1;
+      if (left <= 0) {
+        clearInterval(timer);
+        button.disabled = false;
+        button.textContent = defaultLabel;
+        return;
+      }
+      button.textContent = `${left}s 后重发`;
+    }, 1000);
+  };
+  button.addEventListener("click", async () => {
+    const phoneInput = form ? form.querySelector('input[type="tel"]') : null;
+    const phone = phoneInput ? phoneInput.value.trim() : "";
+    if (!/^1\d{10}$/.test(phone)) {
+      if (messageNode) messageNode.textContent = "请输入正确的手机号";
+      return;
+    }
+    button.disabled = true;
+    try {
+      const { response, result } = await postLeadGuarded("/api/verify/send", form, {
+        phone,
+        sourcePage: window.location.pathname,
+      });
+      if (messageNode) messageNode.textContent = result.message || "";
+      if (response.ok && result.ok) {
+        startCooldown(Number(result.cooldownSeconds) || 60);
+        return;
+      }
+      if (result.cooldownSeconds) {
+        startCooldown(Number(result.cooldownSeconds));
+        return;
+      }
+      button.disabled = false;
+    } catch {
+      if (messageNode) messageNode.textContent = "网络异常，请稍后重试";
+      button.disabled = false;
+    }
+  });
+});
+
+// 隐私授权：勾选状态和当前隐私政策版本
+const buildLeadConsent = (form) => {
+  const consentInput = form.querySelector("[data-consent]");
+  return {
+    agreed: Boolean(consentInput && consentInput.checked),
+    policyVersion: leadGuard.privacyPolicyVersion,
+    agreedAt: (consentInput && consentInput.dataset.agreedAt) || new Date().toISOString(),
+  };
+};
+// 记录勾选隐私政策的时间，随线索一起提交
+document.querySelectorAll("[data-consent]").forEach((input) => {
+  input.addEventListener("change", () => {
+    input.dataset.agreedAt = input.checked ? new Date().toISOString() : "";
+  });
+});
+
+refreshLeadGuard();
+setInterval(refreshLeadGuard, 20 * 60 * 1000);